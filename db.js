@@ -0,0 +1,53 @@
+const { Pool, types } = require("pg");
+require("dotenv").config();
+
+// Validate required environment variables
+if (!process.env.DATABASE_URL && (!process.env.PGUSER || !process.env.PGDATABASE || !process.env.PGPASSWORD)) {
+  console.error('❌ Missing required environment variables: DATABASE_URL or (PGUSER, PGDATABASE, PGPASSWORD)');
+  console.error('Please check your environment variables');
+  process.exit(1);
+}
+
+// PostgreSQL Connection
+const pool = new Pool(
+  process.env.DATABASE_URL
+    ? { connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } }
+    : {
+        user: process.env.PGUSER,
+        host: process.env.PGHOST || "localhost",
+        database: process.env.PGDATABASE,
+        password: process.env.PGPASSWORD,
+        port: Number(process.env.PGPORT || 5432),
+        max: 200,
+        idleTimeoutMillis: 30000,
+        connectionTimeoutMillis: 2000,
+      }
+);
+
+// search_vector columns only back the full-text indexes; parse them to
+// undefined so `SELECT *` rows don't carry them into API responses
+types.setTypeParser(types.builtins.TSVECTOR, () => undefined);
+
+// Database connection error handling
+pool.on('error', (err, client) => {
+  console.error('Unexpected error on idle client', err);
+  process.exit(-1);
+});
+
+// Prints a connection error together with a hint for the common causes
+function logDbError(error) {
+  console.error('❌ DATABASE CONNECTION FAILED!');
+  console.error('Error Code:', error.code);
+  console.error('Error Message:', error.message);
+
+  if (error.code === 'ECONNREFUSED') {
+    console.error('💡 Solution: Make sure PostgreSQL server is running');
+  } else if (error.code === '28P01') {
+    console.error('💡 Solution: Check username and password in .env file');
+  } else if (error.code === '3D000') {
+    console.error('💡 Solution: Create the database or check PGDATABASE in .env');
+  }
+  console.error('');
+}
+
+module.exports = { pool, types, logDbError };
@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+
+// Versioned schema migrations.
+// Each file in migrations/ is named <version>_<name>.js and exports
+// `up(db)` and `down(db)`; both run inside a transaction on a single client.
+// Applied (and failed) versions are recorded in schema_migrations.
+//
+//   node migrate.js up [--to <version>]
+//   node migrate.js down [--steps <n>]
+//   node migrate.js status
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Arbitrary key for pg_advisory_lock so two instances never migrate at once
+const MIGRATION_LOCK_KEY = 48151623;
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => {
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(file, 10), name: file.replace(/\.js$/, ''), up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(`Duplicate migration version ${m.version}: ${migrations[i - 1].name}, ${m.name}`);
+    }
+  });
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'failed')),
+      error TEXT,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+}
+
+// One entry per known version: applied, failed or pending. Versions recorded
+// in the database without a matching file are reported as missing.
+async function getStatus(pool) {
+  await ensureMigrationsTable(pool);
+  const migrations = loadMigrations();
+  const recorded = await pool.query("SELECT version, name, status, error, applied_at FROM schema_migrations");
+  const byVersion = new Map(recorded.rows.map(row => [row.version, row]));
+
+  const status = migrations.map(m => {
+    const row = byVersion.get(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      status: row ? row.status : 'pending',
+      error: row ? row.error : null,
+      applied_at: row && row.status === 'applied' ? row.applied_at : null
+    };
+  });
+
+  recorded.rows
+    .filter(row => !migrations.some(m => m.version === row.version))
+    .forEach(row => status.push({ ...row, status: 'missing' }));
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Applies pending (and previously failed) migrations in order, stopping at the
+// first failure. The failure is recorded so the server refuses to start.
+async function migrateUp(pool, { to = Infinity, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await client.query("SELECT version FROM schema_migrations WHERE status = 'applied'");
+    const done = new Set(applied.rows.map(row => row.version));
+    const pending = loadMigrations().filter(m => !done.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+      log(`⬆️  Applying ${migration.name}`);
+      try {
+        await client.query("BEGIN");
+        await migration.up(client);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, status, error, applied_at)
+           VALUES ($1, $2, 'applied', NULL, NOW())
+           ON CONFLICT (version) DO UPDATE SET name = EXCLUDED.name, status = 'applied', error = NULL, applied_at = NOW()`,
+          [migration.version, migration.name]
+        );
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, status, error, applied_at)
+           VALUES ($1, $2, 'failed', $3, NOW())
+           ON CONFLICT (version) DO UPDATE SET status = 'failed', error = EXCLUDED.error, applied_at = NOW()`,
+          [migration.version, migration.name, err.message]
+        );
+        err.message = `Migration ${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+    }
+    return pending.map(m => m.name);
+  });
+}
+
+// Rolls back the most recently applied migrations, newest first
+async function migrateDown(pool, { steps = 1, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+    const applied = await client.query(
+      "SELECT version, name FROM schema_migrations WHERE status = 'applied' ORDER BY version DESC LIMIT $1",
+      [steps]
+    );
+
+    const reverted = [];
+    for (const row of applied.rows) {
+      const migration = migrations.get(row.version);
+      if (!migration) throw new Error(`Cannot roll back ${row.name}: migration file is missing`);
+
+      log(`⬇️  Reverting ${migration.name}`);
+      try {
+        await client.query("BEGIN");
+        await migration.down(client);
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        err.message = `Rolling back ${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+      reverted.push(migration.name);
+    }
+    return reverted;
+  });
+}
+
+// Throws unless every migration file has been applied successfully
+async function assertSchemaCurrent(pool) {
+  const status = await getStatus(pool);
+  const failed = status.filter(m => m.status === 'failed');
+  const pending = status.filter(m => m.status === 'pending');
+
+  if (failed.length) {
+    throw new Error(`Failed migration(s): ${failed.map(m => `${m.name} (${m.error})`).join(", ")}`);
+  }
+  if (pending.length) {
+    throw new Error(`Pending migration(s): ${pending.map(m => m.name).join(", ")}`);
+  }
+}
+
+module.exports = { loadMigrations, getStatus, migrateUp, migrateDown, assertSchemaCurrent };
+
+// CLI
+if (require.main === module) {
+  const { pool, logDbError } = require("./db");
+  const [command = 'status', ...args] = process.argv.slice(2);
+  // A flag given without a whole number is an error rather than a no-op
+  const option = (flag, min) => {
+    const i = args.indexOf(flag);
+    if (i < 0) return undefined;
+    const value = args[i + 1];
+    if (!/^\d+$/.test(value || '') || Number(value) < min) {
+      throw new Error(`${flag} needs a whole number${min > 0 ? ` of at least ${min}` : ''}`);
+    }
+    return Number(value);
+  };
+
+  (async () => {
+    try {
+      if (command === 'up') {
+        const applied = await migrateUp(pool, { to: option('--to', 0) ?? Infinity });
+        console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+      } else if (command === 'down') {
+        const reverted = await migrateDown(pool, { steps: option('--steps', 1) ?? 1 });
+        console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+      } else if (command === 'status') {
+        const status = await getStatus(pool);
+        status.forEach(m => {
+          const when = m.applied_at ? new Date(m.applied_at).toISOString() : '';
+          console.log(`${m.status.padEnd(8)} ${m.name.padEnd(40)} ${when}${m.error ? `  ${m.error}` : ''}`);
+        });
+      } else {
+        console.error(`Unknown command "${command}". Usage: node migrate.js up|down|status`);
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      if (err.code && /^(ECONNREFUSED|28P01|3D000)$/.test(err.code)) {
+        logDbError(err);
+      } else {
+        console.error(`❌ ${err.message}`);
+      }
+      process.exitCode = 1;
+    } finally {
+      await pool.end();
+    }
+  })();
+}
@@ -0,0 +1,202 @@
+// Baseline schema: everything initDb used to create, plus the tables that only
+// setup-db.bat defined (knowledge_base, user_preferences). Written to be safe
+// against databases that already have some or all of it.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        reset_token TEXT,
+        reset_token_expires TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS phone TEXT UNIQUE`);
+    await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token TEXT`);
+    await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token_expires TIMESTAMP WITH TIME ZONE`);
+    await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_photo TEXT`);
+    await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS full_name TEXT`);
+    await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT`);
+    await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_verified BOOLEAN DEFAULT FALSE`);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS tasks (
+        id SERIAL PRIMARY KEY,
+        title TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+      );
+    `);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS description TEXT`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT 'medium'`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_date DATE`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS category TEXT DEFAULT 'own'`);
+    await db.query(`UPDATE tasks SET category='own' WHERE category IS NULL`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_time TIME`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS type TEXT DEFAULT 'work'`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS project_id INTEGER`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS important BOOLEAN DEFAULT FALSE`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assigned_to TEXT`);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS learning_progress (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        subject TEXT NOT NULL,
+        topic TEXT,
+        skill_level TEXT DEFAULT 'beginner',
+        hours_spent INTEGER DEFAULT 0,
+        last_practiced TIMESTAMP WITH TIME ZONE,
+        progress_percentage INTEGER DEFAULT 0,
+        notes TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Notes table (for Learning and Working notes)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL CHECK (type IN ('learning', 'working')),
+        title TEXT NOT NULL,
+        content TEXT,
+        tags TEXT[],
+        attachments JSONB DEFAULT '[]'::jsonb,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`ALTER TABLE notes ADD COLUMN IF NOT EXISTS attachments JSONB DEFAULT '[]'::jsonb`);
+
+    // Files table (for file uploads in notes)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS files (
+        id SERIAL PRIMARY KEY,
+        note_id INTEGER REFERENCES notes(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        filename TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        file_size INTEGER,
+        mime_type TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS prs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        frontend_status TEXT CHECK (frontend_status IN ('pending', 'in_progress', 'completed', 'none')) DEFAULT 'none',
+        backend_status TEXT CHECK (backend_status IN ('pending', 'in_progress', 'completed', 'none')) DEFAULT 'none',
+        frontend_link TEXT,
+        backend_link TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      ALTER TABLE prs
+      ADD COLUMN IF NOT EXISTS frontend_link TEXT,
+      ADD COLUMN IF NOT EXISTS backend_link TEXT;
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS daily_goals (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        description TEXT,
+        category TEXT NOT NULL DEFAULT 'personal',
+        priority TEXT NOT NULL DEFAULT 'medium',
+        status TEXT NOT NULL DEFAULT 'pending',
+        date DATE NOT NULL,
+        completed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`ALTER TABLE daily_goals ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()`);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS study_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        subject TEXT NOT NULL,
+        start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+        end_time TIMESTAMP WITH TIME ZONE,
+        duration_minutes INTEGER,
+        focus_rating INTEGER CHECK (focus_rating >= 1 AND focus_rating <= 5) DEFAULT 3,
+        notes TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()`);
+
+    // Time tracking tables (previously created lazily by the request handlers)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS time_logs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        day DATE NOT NULL,
+        category VARCHAR(50) NOT NULL,
+        minutes INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS time_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL DEFAULT 'work',
+        description TEXT NOT NULL,
+        start_time TIMESTAMP NOT NULL,
+        end_time TIMESTAMP NOT NULL,
+        duration INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Only defined by setup-db.bat so far; kept so both setups end up identical
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS knowledge_base (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        content TEXT,
+        category TEXT DEFAULT 'general',
+        tags TEXT[],
+        difficulty_level TEXT DEFAULT 'beginner',
+        estimated_time_minutes INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS user_preferences (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        value JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(user_id, key)
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS user_preferences, knowledge_base, time_sessions, time_logs,
+        study_sessions, daily_goals, prs, files, notes, learning_progress, tasks, users CASCADE
+    `);
+  }
+};
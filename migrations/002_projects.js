@@ -0,0 +1,37 @@
+// Projects table and a real foreign key from tasks.project_id
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        kind TEXT DEFAULT 'personal',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`ALTER TABLE projects ADD COLUMN IF NOT EXISTS description TEXT`);
+    await db.query(`ALTER TABLE projects ADD COLUMN IF NOT EXISTS color TEXT`);
+    await db.query(`ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived BOOLEAN NOT NULL DEFAULT FALSE`);
+    await db.query(`ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE`);
+    await db.query(`ALTER TABLE projects ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()`);
+
+    // Drop dangling ids before adding the constraint
+    await db.query(`
+      UPDATE tasks SET project_id = NULL
+      WHERE project_id IS NOT NULL AND project_id NOT IN (SELECT id FROM projects)
+    `);
+    await db.query(`ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_project_id_fkey`);
+    await db.query(`
+      ALTER TABLE tasks ADD CONSTRAINT tasks_project_id_fkey
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS tasks_project_id_idx ON tasks (project_id)`);
+  },
+
+  async down(db) {
+    await db.query(`DROP INDEX IF EXISTS tasks_project_id_idx`);
+    await db.query(`ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_project_id_fkey`);
+    await db.query(`DROP TABLE IF EXISTS projects`);
+  }
+};
@@ -0,0 +1,33 @@
+// Habits and their daily check-ins (streaks are derived from check-ins)
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS habits (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        color TEXT DEFAULT '#3b82f6',
+        target_count INTEGER NOT NULL DEFAULT 1 CHECK (target_count > 0),
+        target_period TEXT NOT NULL DEFAULT 'day' CHECK (target_period IN ('day', 'week')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS habit_checkins (
+        id SERIAL PRIMARY KEY,
+        habit_id INTEGER REFERENCES habits(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        count INTEGER NOT NULL DEFAULT 1 CHECK (count > 0),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(habit_id, date)
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.query(`DROP TABLE IF EXISTS habit_checkins, habits`);
+  }
+};
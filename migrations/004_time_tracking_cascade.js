@@ -0,0 +1,26 @@
+// time_logs and time_sessions used to be created by their request handlers
+// without ON DELETE CASCADE, which blocks deleting a user. Recreate those
+// foreign keys with CASCADE.
+const TABLES = ['time_logs', 'time_sessions'];
+
+module.exports = {
+  async up(db) {
+    for (const table of TABLES) {
+      const fks = await db.query(
+        `SELECT conname FROM pg_constraint
+         WHERE conrelid = $1::regclass AND contype = 'f' AND confrelid = 'users'::regclass`,
+        [table]
+      );
+      for (const fk of fks.rows) {
+        await db.query(`ALTER TABLE ${table} DROP CONSTRAINT "${fk.conname}"`);
+      }
+      await db.query(`
+        ALTER TABLE ${table} ADD CONSTRAINT ${table}_user_id_fkey
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      `);
+    }
+  },
+
+  // Restoring the old non-cascading keys would only bring the bug back
+  async down(_db) {}
+};
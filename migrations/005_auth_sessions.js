@@ -0,0 +1,31 @@
+// Login sessions (one per device) holding the current refresh token hash,
+// plus users.token_version which is bumped to invalidate every token issued
+// before (e.g. after a password reset)
+module.exports = {
+  async up(db) {
+    await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0`);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash TEXT NOT NULL UNIQUE,
+        previous_token_hash TEXT,
+        device_type TEXT NOT NULL DEFAULT 'web' CHECK (device_type IN ('web', 'android')),
+        device_name TEXT,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS auth_sessions_user_id_idx ON auth_sessions (user_id)`);
+    await db.query(`CREATE INDEX IF NOT EXISTS auth_sessions_previous_token_idx ON auth_sessions (previous_token_hash)`);
+  },
+
+  async down(db) {
+    await db.query(`DROP TABLE IF EXISTS auth_sessions`);
+    await db.query(`ALTER TABLE users DROP COLUMN IF EXISTS token_version`);
+  }
+};
@@ -0,0 +1,17 @@
+// Note attachments move out of the database into blob storage. New rows keep
+// the blob's key in storage_key; older rows still hold base64 data in
+// file_path and are served from there until they are deleted.
+module.exports = {
+  async up(db) {
+    await db.query(`ALTER TABLE files ADD COLUMN IF NOT EXISTS storage_key TEXT UNIQUE`);
+    await db.query(`ALTER TABLE files ALTER COLUMN file_path DROP NOT NULL`);
+    await db.query(`CREATE INDEX IF NOT EXISTS files_user_id_idx ON files (user_id)`);
+  },
+
+  async down(db) {
+    await db.query(`DROP INDEX IF EXISTS files_user_id_idx`);
+    await db.query(`DELETE FROM files WHERE file_path IS NULL`);
+    await db.query(`ALTER TABLE files ALTER COLUMN file_path SET NOT NULL`);
+    await db.query(`ALTER TABLE files DROP COLUMN IF EXISTS storage_key`);
+  }
+};
@@ -0,0 +1,23 @@
+// Recurring tasks. `recurrence` holds the normalized rule; every occurrence
+// of a series shares recurrence_series_id (the first task's id) and points at
+// the occurrence created after it through recurrence_next_id.
+module.exports = {
+  async up(db) {
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence JSONB`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_series_id INTEGER`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_index INTEGER NOT NULL DEFAULT 1`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_next_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL`);
+    await db.query(`CREATE INDEX IF NOT EXISTS tasks_recurrence_series_idx ON tasks (recurrence_series_id)`);
+  },
+
+  async down(db) {
+    await db.query(`DROP INDEX IF EXISTS tasks_recurrence_series_idx`);
+    await db.query(`
+      ALTER TABLE tasks
+        DROP COLUMN IF EXISTS recurrence_next_id,
+        DROP COLUMN IF EXISTS recurrence_index,
+        DROP COLUMN IF EXISTS recurrence_series_id,
+        DROP COLUMN IF EXISTS recurrence
+    `);
+  }
+};
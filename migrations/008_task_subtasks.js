@@ -0,0 +1,26 @@
+// Checklist items (subtasks) under a task. tasks.auto_complete_subtasks marks
+// parents that complete themselves once every subtask is done.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_subtasks (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        done BOOLEAN NOT NULL DEFAULT FALSE,
+        position INTEGER NOT NULL DEFAULT 0,
+        completed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS task_subtasks_task_id_idx ON task_subtasks (task_id, position)`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS auto_complete_subtasks BOOLEAN NOT NULL DEFAULT FALSE`);
+  },
+
+  async down(db) {
+    await db.query(`ALTER TABLE tasks DROP COLUMN IF EXISTS auto_complete_subtasks`);
+    await db.query(`DROP TABLE IF EXISTS task_subtasks`);
+  }
+};
@@ -0,0 +1,31 @@
+// Kanban card order: tasks.rank sorts lexicographically within a status
+// column (COLLATE "C" so comparison is byte-wise). Existing tasks get
+// fixed-width keys in id order. board_wip_limits holds optional per-column
+// work-in-progress limits.
+module.exports = {
+  async up(db) {
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS rank TEXT COLLATE "C"`);
+    await db.query(`
+      UPDATE tasks t SET rank = lpad(r.n::text, 6, '0')
+      FROM (SELECT id, row_number() OVER (PARTITION BY user_id, status ORDER BY id) AS n FROM tasks) r
+      WHERE r.id = t.id AND t.rank IS NULL
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS tasks_board_rank_idx ON tasks (user_id, status, rank)`);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS board_wip_limits (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(50) NOT NULL,
+        wip_limit INTEGER NOT NULL CHECK (wip_limit > 0),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (user_id, status)
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.query(`DROP TABLE IF EXISTS board_wip_limits`);
+    await db.query(`DROP INDEX IF EXISTS tasks_board_rank_idx`);
+    await db.query(`ALTER TABLE tasks DROP COLUMN IF EXISTS rank`);
+  }
+};
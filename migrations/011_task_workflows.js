@@ -0,0 +1,83 @@
+// Per-user task workflows and status history.
+// Legacy pending/done values are mapped onto the board workflow
+// (learning → working → testing → completed), which becomes the default for
+// users without a task_workflows row. A trigger records every status a task
+// enters in task_status_history; existing tasks get one entry for their
+// current status.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_workflows (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        statuses JSONB NOT NULL,
+        done_status TEXT NOT NULL,
+        transitions JSONB,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    await db.query(`
+      UPDATE tasks SET status = CASE status WHEN 'pending' THEN 'learning' ELSE 'completed' END
+      WHERE status IN ('pending', 'done')
+    `);
+    await db.query(`ALTER TABLE tasks ALTER COLUMN status SET DEFAULT 'learning'`);
+    await db.query(`
+      DELETE FROM board_wip_limits l
+      WHERE l.status IN ('pending', 'done')
+        AND EXISTS (
+          SELECT 1 FROM board_wip_limits o
+          WHERE o.user_id = l.user_id AND o.status = CASE l.status WHEN 'pending' THEN 'learning' ELSE 'completed' END
+        )
+    `);
+    await db.query(`
+      UPDATE board_wip_limits SET status = CASE status WHEN 'pending' THEN 'learning' ELSE 'completed' END
+      WHERE status IN ('pending', 'done')
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_status_history (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS task_status_history_task_idx ON task_status_history (task_id, changed_at)`);
+    await db.query(`
+      INSERT INTO task_status_history (task_id, user_id, from_status, to_status, changed_at)
+      SELECT id, user_id, NULL, status, COALESCE(updated_at, created_at, NOW()) FROM tasks
+    `);
+
+    await db.query(`
+      CREATE OR REPLACE FUNCTION record_task_status_change() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP = 'INSERT' THEN
+          INSERT INTO task_status_history (task_id, user_id, from_status, to_status)
+          VALUES (NEW.id, NEW.user_id, NULL, NEW.status);
+        ELSIF NEW.status IS DISTINCT FROM OLD.status THEN
+          INSERT INTO task_status_history (task_id, user_id, from_status, to_status)
+          VALUES (NEW.id, NEW.user_id, OLD.status, NEW.status);
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await db.query(`DROP TRIGGER IF EXISTS tasks_status_history ON tasks`);
+    await db.query(`
+      CREATE TRIGGER tasks_status_history
+      AFTER INSERT OR UPDATE OF status ON tasks
+      FOR EACH ROW EXECUTE FUNCTION record_task_status_change()
+    `);
+  },
+
+  // Task statuses are left as they are; the board values are valid free text
+  async down(db) {
+    await db.query(`DROP TRIGGER IF EXISTS tasks_status_history ON tasks`);
+    await db.query(`DROP FUNCTION IF EXISTS record_task_status_change()`);
+    await db.query(`DROP TABLE IF EXISTS task_status_history`);
+    await db.query(`ALTER TABLE tasks ALTER COLUMN status SET DEFAULT 'pending'`);
+    await db.query(`DROP TABLE IF EXISTS task_workflows`);
+  }
+};
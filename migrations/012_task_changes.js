@@ -0,0 +1,32 @@
+// Append-only task change log. `changes` holds { field: { before, after } }
+// for every tracked field that changed; deletes also keep the full row in
+// `snapshot` so the task can be restored. Rows written by one bulk action
+// share a batch_id. Reverts and undos are logged as new rows pointing at the
+// change or batch they reverse.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_changes (
+        id BIGSERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        changes JSONB NOT NULL DEFAULT '{}',
+        snapshot JSONB,
+        source TEXT,
+        batch_id UUID,
+        reverts_change_id BIGINT,
+        reverts_batch_id UUID,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS task_changes_task_idx ON task_changes (task_id, id)`);
+    await db.query(`CREATE INDEX IF NOT EXISTS task_changes_user_idx ON task_changes (user_id, id)`);
+    await db.query(`CREATE INDEX IF NOT EXISTS task_changes_batch_idx ON task_changes (batch_id) WHERE batch_id IS NOT NULL`);
+  },
+
+  async down(db) {
+    await db.query(`DROP TABLE IF EXISTS task_changes`);
+  }
+};
@@ -0,0 +1,75 @@
+// Shared projects: members with owner/editor/viewer roles and pending
+// invitations. Every existing project gets its creator as owner.
+// tasks.assigned_to becomes a user reference; the old free-text value moves to
+// assigned_to_name, which keeps only the values that matched no username.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS project_members (
+        project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (project_id, user_id)
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS project_members_user_idx ON project_members (user_id)`);
+    await db.query(`
+      INSERT INTO project_members (project_id, user_id, role)
+      SELECT id, user_id, 'owner' FROM projects WHERE user_id IS NOT NULL
+      ON CONFLICT DO NOTHING
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS project_invitations (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        role TEXT NOT NULL CHECK (role IN ('editor', 'viewer')),
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        responded_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await db.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS project_invitations_pending_idx
+      ON project_invitations (project_id, user_id) WHERE status = 'pending'
+    `);
+
+    await db.query(`ALTER TABLE tasks RENAME COLUMN assigned_to TO assigned_to_name`);
+    await db.query(`ALTER TABLE tasks ADD COLUMN assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+    await db.query(`
+      UPDATE tasks t SET assigned_to = u.id, assigned_to_name = NULL
+      FROM users u WHERE u.username = t.assigned_to_name
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS tasks_assigned_to_idx ON tasks (assigned_to)`);
+
+    // Logged values must stay writable into the new integer column
+    const toUserId = (expr) => `COALESCE(to_jsonb((SELECT id FROM users WHERE username = ${expr})), 'null'::jsonb)`;
+    await db.query(`
+      UPDATE task_changes
+      SET snapshot = jsonb_set(snapshot, '{assigned_to}', ${toUserId("snapshot->>'assigned_to'")})
+      WHERE snapshot ? 'assigned_to'
+    `);
+    await db.query(`
+      UPDATE task_changes
+      SET changes = jsonb_set(changes, '{assigned_to}', jsonb_build_object(
+        'before', ${toUserId("changes->'assigned_to'->>'before'")},
+        'after', ${toUserId("changes->'assigned_to'->>'after'")}
+      ))
+      WHERE changes ? 'assigned_to'
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      UPDATE tasks t SET assigned_to_name = u.username
+      FROM users u WHERE u.id = t.assigned_to
+    `);
+    await db.query(`ALTER TABLE tasks DROP COLUMN assigned_to`);
+    await db.query(`ALTER TABLE tasks RENAME COLUMN assigned_to_name TO assigned_to`);
+    await db.query(`DROP TABLE IF EXISTS project_invitations`);
+    await db.query(`DROP TABLE IF EXISTS project_members`);
+  }
+};
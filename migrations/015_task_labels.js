@@ -0,0 +1,31 @@
+// User-defined task labels and the task <-> label join table
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS labels (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        color TEXT NOT NULL DEFAULT '#3b82f6',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS labels_user_name_idx ON labels (user_id, LOWER(name))`);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_labels (
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        label_id INTEGER NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (task_id, label_id)
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS task_labels_label_idx ON task_labels (label_id)`);
+  },
+
+  async down(db) {
+    await db.query(`DROP TABLE IF EXISTS task_labels`);
+    await db.query(`DROP TABLE IF EXISTS labels`);
+  }
+};
@@ -0,0 +1,57 @@
+// Full-text search: a weighted tsvector column with a GIN index on tasks,
+// notes and prs, kept current by BEFORE INSERT/UPDATE triggers.
+// Titles weigh most (A); notes' tags come next (B), then bodies and links.
+const SEARCH_VECTORS = {
+  tasks: {
+    columns: ['title', 'description'],
+    vector: (row) => `
+      setweight(to_tsvector('english', COALESCE(${row}.title, '')), 'A') ||
+      setweight(to_tsvector('english', COALESCE(${row}.description, '')), 'B')`
+  },
+  notes: {
+    columns: ['title', 'content', 'tags'],
+    vector: (row) => `
+      setweight(to_tsvector('english', COALESCE(${row}.title, '')), 'A') ||
+      setweight(to_tsvector('english', COALESCE(array_to_string(${row}.tags, ' '), '')), 'B') ||
+      setweight(to_tsvector('english', COALESCE(${row}.content, '')), 'C')`
+  },
+  prs: {
+    columns: ['title', 'frontend_link', 'backend_link'],
+    vector: (row) => `
+      setweight(to_tsvector('english', COALESCE(${row}.title, '')), 'A') ||
+      setweight(to_tsvector('english', COALESCE(${row}.frontend_link, '') || ' ' || COALESCE(${row}.backend_link, '')), 'C')`
+  }
+};
+
+module.exports = {
+  async up(db) {
+    for (const [table, { columns, vector }] of Object.entries(SEARCH_VECTORS)) {
+      await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS search_vector TSVECTOR`);
+      await db.query(`UPDATE ${table} SET search_vector = ${vector(table)}`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ${table}_search_idx ON ${table} USING GIN (search_vector)`);
+
+      await db.query(`
+        CREATE OR REPLACE FUNCTION ${table}_search_vector_update() RETURNS trigger AS $$
+        BEGIN
+          NEW.search_vector := ${vector('NEW')};
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql;
+      `);
+      await db.query(`DROP TRIGGER IF EXISTS ${table}_search_vector ON ${table}`);
+      await db.query(`
+        CREATE TRIGGER ${table}_search_vector
+        BEFORE INSERT OR UPDATE OF ${columns.join(', ')} ON ${table}
+        FOR EACH ROW EXECUTE FUNCTION ${table}_search_vector_update()
+      `);
+    }
+  },
+
+  async down(db) {
+    for (const table of Object.keys(SEARCH_VECTORS)) {
+      await db.query(`DROP TRIGGER IF EXISTS ${table}_search_vector ON ${table}`);
+      await db.query(`DROP FUNCTION IF EXISTS ${table}_search_vector_update()`);
+      await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS search_vector`);
+    }
+  }
+};
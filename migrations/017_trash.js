@@ -0,0 +1,23 @@
+// Soft deletion: tasks, notes and prs get a deleted_at timestamp and sit in
+// the trash until they are restored or purged. Tasks also record who trashed
+// them, since shared project tasks can be deleted by any editor.
+const TABLES = ['tasks', 'notes', 'prs'];
+
+module.exports = {
+  async up(db) {
+    for (const table of TABLES) {
+      await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ${table}_trash_idx ON ${table} (deleted_at) WHERE deleted_at IS NOT NULL`);
+    }
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+  },
+
+  // Rows still in the trash are removed for good
+  async down(db) {
+    await db.query(`ALTER TABLE tasks DROP COLUMN IF EXISTS deleted_by`);
+    for (const table of TABLES) {
+      await db.query(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL`);
+      await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deleted_at`);
+    }
+  }
+};
@@ -0,0 +1,24 @@
+// Calendar integration: one secret feed token per user (stored as a SHA-256
+// hash) and the iCalendar UID of imported tasks, so re-importing the same
+// file updates those tasks instead of duplicating them.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_accessed_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS ical_uid TEXT`);
+    await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS tasks_ical_uid_idx ON tasks (user_id, ical_uid) WHERE ical_uid IS NOT NULL`);
+  },
+
+  async down(db) {
+    await db.query(`DROP INDEX IF EXISTS tasks_ical_uid_idx`);
+    await db.query(`ALTER TABLE tasks DROP COLUMN IF EXISTS ical_uid`);
+    await db.query(`DROP TABLE IF EXISTS calendar_feeds`);
+  }
+};
@@ -0,0 +1,32 @@
+// Per-user task reminders. Each row is also the scheduler's job: remind_at is
+// when it next fires (NULL while the task has no due date) and locked_until
+// marks a delivery in progress, so other instances leave it alone.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_reminders (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        minutes_before INTEGER NOT NULL CHECK (minutes_before >= 0),
+        remind_at TIMESTAMP WITH TIME ZONE,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sent', 'dismissed', 'skipped', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        locked_until TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        snoozed BOOLEAN NOT NULL DEFAULT FALSE,
+        sent_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (task_id, user_id, minutes_before)
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS task_reminders_due_idx ON task_reminders (remind_at) WHERE status = 'pending'`);
+    await db.query(`CREATE INDEX IF NOT EXISTS task_reminders_user_idx ON task_reminders (user_id, status)`);
+  },
+
+  async down(db) {
+    await db.query(`DROP TABLE IF EXISTS task_reminders`);
+  }
+};
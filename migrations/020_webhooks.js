@@ -0,0 +1,47 @@
+// Outgoing webhooks. webhook_deliveries is both the durable queue (pending
+// rows with next_attempt_at) and the delivery log kept for inspection.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT[] NOT NULL,
+        description TEXT,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS webhooks_user_idx ON webhooks (user_id) WHERE active`);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        locked_until TIMESTAMP WITH TIME ZONE,
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        duration_ms INTEGER,
+        redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        delivered_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS webhook_deliveries_queue_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'`);
+    await db.query(`CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_idx ON webhook_deliveries (webhook_id, id)`);
+  },
+
+  async down(db) {
+    await db.query(`DROP TABLE IF EXISTS webhook_deliveries`);
+    await db.query(`DROP TABLE IF EXISTS webhooks`);
+  }
+};
@@ -0,0 +1,25 @@
+// Databases first created by the old setup-db.bat were adopted by the
+// baseline as they were, so they still carry constraints the server never
+// defined: UNIQUE (user_id, day, category) and a work/learning CHECK on
+// time_logs, UNIQUE (user_id, date, title) on daily_goals and
+// UNIQUE (user_id, subject) on learning_progress. Drop them so every setup
+// ends up with the baseline schema.
+const TABLES = ['time_logs', 'daily_goals', 'learning_progress'];
+
+module.exports = {
+  async up(db) {
+    for (const table of TABLES) {
+      const constraints = await db.query(
+        `SELECT conname FROM pg_constraint WHERE conrelid = $1::regclass AND contype IN ('u', 'c')`,
+        [table]
+      );
+      for (const constraint of constraints.rows) {
+        await db.query(`ALTER TABLE ${table} DROP CONSTRAINT "${constraint.conname}"`);
+      }
+    }
+  },
+
+  // The baseline never had these constraints; putting them back could fail
+  // on data written since, and would only bring the mismatch back
+  async down(_db) {}
+};
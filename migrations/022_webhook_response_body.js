@@ -0,0 +1,11 @@
+// Webhook deliveries no longer keep what the receiver answered; only the
+// status code is recorded, so receiver responses never reach the user.
+module.exports = {
+  async up(db) {
+    await db.query(`ALTER TABLE webhook_deliveries DROP COLUMN IF EXISTS response_body`);
+  },
+
+  async down(db) {
+    await db.query(`ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS response_body TEXT`);
+  }
+};
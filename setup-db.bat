@@ -26,126 +26,10 @@ echo "📦 Creating database..."
 psql -c "CREATE DATABASE todo_demo;" 2>/dev/null || echo "Database already exists"
 
 # Create tables
-echo "🏗️ Creating tables..."
-psql -d todo_demo -f <(cat << 'EOF'
--- Users table
-CREATE TABLE IF NOT EXISTS users (
-  id SERIAL PRIMARY KEY,
-  username TEXT UNIQUE NOT NULL,
-  password_hash TEXT NOT NULL,
-  phone TEXT UNIQUE,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Tasks table
-CREATE TABLE IF NOT EXISTS tasks (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  title TEXT NOT NULL,
-  description TEXT,
-  status TEXT DEFAULT 'pending',
-  priority TEXT DEFAULT 'medium',
-  category TEXT DEFAULT 'own',
-  type TEXT DEFAULT 'work',
-  due_date DATE,
-  due_time TIME,
-  important BOOLEAN DEFAULT FALSE,
-  project_id INTEGER,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Projects table
-CREATE TABLE IF NOT EXISTS projects (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  name TEXT NOT NULL,
-  kind TEXT DEFAULT 'personal',
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Learning progress table
-CREATE TABLE IF NOT EXISTS learning_progress (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  subject TEXT NOT NULL,
-  topic TEXT,
-  skill_level TEXT DEFAULT 'beginner',
-  hours_spent INTEGER DEFAULT 0,
-  last_practiced TIMESTAMP WITH TIME ZONE,
-  progress_percentage INTEGER DEFAULT 0,
-  notes TEXT,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  UNIQUE(user_id, subject)
-);
-
--- Study sessions table
-CREATE TABLE IF NOT EXISTS study_sessions (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  subject TEXT NOT NULL,
-  start_time TIMESTAMP WITH TIME ZONE NOT NULL,
-  end_time TIMESTAMP WITH TIME ZONE,
-  duration_minutes INTEGER,
-  focus_rating INTEGER CHECK (focus_rating >= 1 AND focus_rating <= 5),
-  notes TEXT,
-  productivity_score INTEGER DEFAULT 0,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Knowledge base table
-CREATE TABLE IF NOT EXISTS knowledge_base (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  title TEXT NOT NULL,
-  content TEXT,
-  category TEXT DEFAULT 'general',
-  tags TEXT[],
-  difficulty_level TEXT DEFAULT 'beginner',
-  estimated_time_minutes INTEGER,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Daily goals table
-CREATE TABLE IF NOT EXISTS daily_goals (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  date DATE NOT NULL,
-  title TEXT NOT NULL,
-  description TEXT,
-  category TEXT DEFAULT 'personal',
-  priority TEXT DEFAULT 'medium',
-  status TEXT DEFAULT 'pending',
-  completed_at TIMESTAMP WITH TIME ZONE,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  UNIQUE(user_id, date, title)
-);
-
--- Time logs table
-CREATE TABLE IF NOT EXISTS time_logs (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  day DATE NOT NULL,
-  category TEXT NOT NULL CHECK (category IN ('work', 'learning')),
-  minutes INTEGER DEFAULT 0,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  UNIQUE(user_id, day, category)
-);
-
--- User preferences table
-CREATE TABLE IF NOT EXISTS user_preferences (
-  id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  key TEXT NOT NULL,
-  value JSONB NOT NULL,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  UNIQUE(user_id, key)
-);
+echo "🏗️ Running migrations..."
+node migrate.js up || exit 1
 
+psql -d todo_demo -f <(cat << 'EOF'
 -- Create a test user
 INSERT INTO users (username, password_hash, phone)
 VALUES ('testuser', '$2b$10$rQZ8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8Z8', '1234567890')
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+// Blob storage for uploaded files.
+// STORAGE_DRIVER selects the backend: "disk" (default) keeps blobs under
+// UPLOAD_DIR, any other value is a path to a module exporting the same
+// interface:
+//
+//   save(key, readable)            -> Promise<{ size }>
+//   createReadStream(key, range?)  -> Readable   (range: { start, end } inclusive)
+//   remove(key)                    -> Promise<void>, resolves if the blob is already gone
+
+function createDiskStorage(root) {
+  // Keys are generated by the server, but never let one escape the root
+  const resolve = (key) => {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return full;
+  };
+
+  return {
+    async save(key, readable) {
+      const full = resolve(key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      try {
+        await pipeline(readable, fs.createWriteStream(full, { flags: 'wx' }));
+      } catch (err) {
+        await fs.promises.rm(full, { force: true });
+        throw err;
+      }
+      const stat = await fs.promises.stat(full);
+      return { size: stat.size };
+    },
+
+    createReadStream(key, range) {
+      return fs.createReadStream(resolve(key), range ? { start: range.start, end: range.end } : undefined);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+function createStorage(name) {
+  if (!name || name === 'disk') {
+    return createDiskStorage(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+  }
+  const storage = require(path.resolve(__dirname, name));
+  ['save', 'createReadStream', 'remove'].forEach(fn => {
+    if (typeof storage[fn] !== 'function') {
+      throw new Error(`Storage driver "${name}" must export ${fn}()`);
+    }
+  });
+  return storage;
+}
+
+module.exports = { createStorage, createDiskStorage };
@@ -1,6 +1,5 @@
 const express = require("express");
 const cors = require("cors");
-const { Pool } = require("pg");
 const path = require("path");
 const http = require("http");
 const { Server } = require("socket.io");
@@ -8,6 +7,15 @@ require("dotenv").config();
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const https = require("https");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const fs = require("fs");
+const { pool, types, logDbError } = require("./db");
+const { assertSchemaCurrent } = require("./migrate");
+const { createStorage } = require("./storage");
+const busboy = require("busboy");
+const { Readable, Transform } = require("stream");
 
 const app = express();
 
@@ -19,11 +27,14 @@ app.use(cors({
   origin: "*",
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Platform']
 }));
 
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Attachments are uploaded as multipart streams, so JSON bodies only need room
+// for things like profile photos
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '10mb';
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
 
 // Serve static files from React build
 app.use(express.static(path.join(__dirname, 'public')));
@@ -31,57 +42,75 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Add OPTIONS handler for preflight requests
 app.options('*', cors());
 
-// PostgreSQL Connection
-const pool = new Pool(
-  process.env.DATABASE_URL
-    ? { connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } }
-    : {
-        user: process.env.PGUSER,
-        host: process.env.PGHOST || "localhost",
-        database: process.env.PGDATABASE,
-        password: process.env.PGPASSWORD,
-        port: Number(process.env.PGPORT || 5432),
-        max: 200,
-        idleTimeoutMillis: 30000,
-        connectionTimeoutMillis: 2000,
-      }
-);
+const JWT_SECRET = process.env.JWT_SECRET;
 
-// Validate required environment variables
-if (!process.env.DATABASE_URL && (!process.env.PGUSER || !process.env.PGDATABASE || !process.env.PGPASSWORD)) {
-  console.error('❌ Missing required environment variables: DATABASE_URL or (PGUSER, PGDATABASE, PGPASSWORD)');
-  console.error('Please check your environment variables');
+if (!JWT_SECRET) {
+  console.error('❌ Missing required environment variable: JWT_SECRET');
+  console.error('Please add JWT_SECRET to your .env file');
   process.exit(1);
 }
 
-// Database connection error handling
-pool.on('error', (err, client) => {
-  console.error('Unexpected error on idle client', err);
-  process.exit(-1);
-});
 
-// Test database connection on startup
-async function testDbConnection() {
-  try {
-    const client = await pool.connect();
-    console.log('✅ Database connected successfully');
-    client.release();
-  } catch (err) {
-    console.error('❌ Database connection failed:', err.message);
-    console.error('Please ensure PostgreSQL is running and credentials are correct');
+// Mail transports
+// MAIL_TRANSPORT selects how outgoing mail is delivered: "console" (default)
+// logs messages, "file" appends them as JSON lines to MAIL_FILE, and any other
+// value is treated as a path to a module exporting `send({ to, subject, text })`.
+function createMailTransport(name) {
+  if (!name || name === 'console') {
+    return {
+      send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      }
+    };
+  }
+  if (name === 'file') {
+    const file = process.env.MAIL_FILE || path.join(__dirname, 'mail.log');
+    return {
+      send: async (message) => {
+        const entry = { ...message, sent_at: new Date().toISOString() };
+        await fs.promises.appendFile(file, JSON.stringify(entry) + "\n");
+      }
+    };
   }
+  const transport = require(path.resolve(__dirname, name));
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must export a send() function`);
+  }
+  return transport;
 }
 
-testDbConnection();
-
-const JWT_SECRET = process.env.JWT_SECRET;
-
-if (!JWT_SECRET) {
-  console.error('❌ Missing required environment variable: JWT_SECRET');
-  console.error('Please add JWT_SECRET to your .env file');
-  process.exit(1);
+const mailer = createMailTransport(process.env.MAIL_TRANSPORT);
+
+// Reminder transports
+// Due reminders are always pushed to the user's Socket.IO room as
+// "task_reminder". REMINDER_TRANSPORT adds a second channel: "log" (default)
+// prints them, "email" sends them through the mail transport, and any other
+// value is a path to a module exporting `deliver({ user, task, reminder })`,
+// e.g. a web-push sender. A deliver() that rejects or takes longer than
+// REMINDER_DELIVER_TIMEOUT_MS is retried with backoff.
+function createReminderTransport(name) {
+  if (!name || name === 'log') {
+    return {
+      deliver: async ({ user, task }) => {
+        console.log(`⏰ Reminder for ${user.username}: ${reminderText(task)}`);
+      }
+    };
+  }
+  if (name === 'email') {
+    return {
+      deliver: async ({ user, task }) => {
+        await mailer.send({ to: user.email || user.username, subject: `Reminder: ${task.title}`, text: reminderText(task) });
+      }
+    };
+  }
+  const transport = require(path.resolve(__dirname, name));
+  if (!transport || typeof transport.deliver !== 'function') {
+    throw new Error(`Reminder transport "${name}" must export a deliver() function`);
+  }
+  return transport;
 }
 
+const reminderTransport = createReminderTransport(process.env.REMINDER_TRANSPORT);
 
 // Create HTTP server and Socket.IO
 const server = http.createServer(app);
@@ -96,11 +125,18 @@ const io = new Server(server, {
 });
 
 io.on("connection", (socket) => {
-  socket.on("authenticate", (token) => {
+  socket.on("authenticate", async (token) => {
     try {
       const payload = jwt.verify(token, JWT_SECRET);
+      if (!(await isTokenCurrent(payload))) {
+        return socket.emit("auth_error", { error: "Session has been revoked" });
+      }
       const room = `user-${payload.userId}`;
       socket.join(room);
+      socket.join(`session-${payload.sid}`);
+      // Shared projects broadcast task changes to every member
+      const memberships = await pool.query("SELECT project_id FROM project_members WHERE user_id = $1", [payload.userId]);
+      memberships.rows.forEach(row => socket.join(`project-${row.project_id}`));
       socket.emit("authenticated", { ok: true });
     } catch (_e) {
       socket.emit("auth_error", { error: "Invalid token" });
@@ -108,187 +144,89 @@ io.on("connection", (socket) => {
   });
 });
 
-// Ensure table exists and migrate schema (idempotent)
-async function initDb() {
-  try {
-    // Test database connection first
-    const connectionTest = await pool.query('SELECT NOW() as current_time');
+// Auth helpers
+// Access tokens are short-lived JWTs bound to a server-side session (sid).
+// Sessions hold a rotating refresh token, stored only as a SHA-256 hash.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
 
-    // Users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        reset_token TEXT,
-        reset_token_expires TIMESTAMP WITH TIME ZONE
-      );
-    `);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS phone TEXT UNIQUE`);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS tasks (
-        id SERIAL PRIMARY KEY,
-        title TEXT NOT NULL,
-        status TEXT NOT NULL DEFAULT 'pending'
-      );
-    `);
-
-    // Add new columns if missing
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS description TEXT`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT 'medium'`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_date DATE`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS category TEXT DEFAULT 'own'`);
-    await pool.query(`UPDATE tasks SET category='own' WHERE category IS NULL`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_time TIME`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS type TEXT DEFAULT 'work'`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS project_id INTEGER`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS important BOOLEAN DEFAULT FALSE`);
-    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assigned_to TEXT`);
-
-    // Learning progress table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS learning_progress (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        subject TEXT NOT NULL,
-        topic TEXT,
-        skill_level TEXT DEFAULT 'beginner',
-        hours_spent INTEGER DEFAULT 0,
-        last_practiced TIMESTAMP WITH TIME ZONE,
-        progress_percentage INTEGER DEFAULT 0,
-        notes TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `);
-
-    // Notes table (for Learning and Working notes)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS notes (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        type TEXT NOT NULL CHECK (type IN ('learning', 'working')),
-        title TEXT NOT NULL,
-        content TEXT,
-        tags TEXT[],
-        attachments JSONB DEFAULT '[]'::jsonb,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `);
-
-    // Add attachments column if it doesn't exist (migration)
-    await pool.query(`
-      ALTER TABLE notes
-      ADD COLUMN IF NOT EXISTS attachments JSONB DEFAULT '[]'::jsonb;
-    `);
-
-    // Files table (for file uploads in notes)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS files (
-        id SERIAL PRIMARY KEY,
-        note_id INTEGER REFERENCES notes(id) ON DELETE CASCADE,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        filename TEXT NOT NULL,
-        original_name TEXT NOT NULL,
-        file_path TEXT NOT NULL,
-        file_size INTEGER,
-        mime_type TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `);
-
-    // PR Management table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS prs (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        title TEXT NOT NULL,
-        frontend_status TEXT CHECK (frontend_status IN ('pending', 'in_progress', 'completed', 'none')) DEFAULT 'none',
-        backend_status TEXT CHECK (backend_status IN ('pending', 'in_progress', 'completed', 'none')) DEFAULT 'none',
-        frontend_link TEXT,
-        backend_link TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `);
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
 
-    // Add frontend_link and backend_link columns if they don't exist (for existing databases)
-    try {
-      await pool.query(`
-        ALTER TABLE prs
-        ADD COLUMN IF NOT EXISTS frontend_link TEXT,
-        ADD COLUMN IF NOT EXISTS backend_link TEXT;
-      `);
-    } catch (err) {
-      // Columns might already exist, ignore error
-      console.log('PR table columns already exist or error adding:', err.message);
-    }
-
-
-    // Daily goals table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS daily_goals (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        title TEXT NOT NULL,
-        description TEXT,
-        category TEXT NOT NULL DEFAULT 'personal',
-        priority TEXT NOT NULL DEFAULT 'medium',
-        status TEXT NOT NULL DEFAULT 'pending',
-        date DATE NOT NULL,
-        completed_at TIMESTAMP WITH TIME ZONE,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `);
-
-    // Study sessions table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS study_sessions (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        subject TEXT NOT NULL,
-        start_time TIMESTAMP WITH TIME ZONE NOT NULL,
-        end_time TIMESTAMP WITH TIME ZONE,
-        duration_minutes INTEGER,
-        focus_rating INTEGER CHECK (focus_rating >= 1 AND focus_rating <= 5) DEFAULT 3,
-        notes TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `);
+function signToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, tv: user.token_version || 0, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
 
-    // User profile extensions
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_photo TEXT`);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS full_name TEXT`);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT`);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_verified BOOLEAN DEFAULT FALSE`);
+// "android" for the Capacitor app (it sends device=android or an Android WebView
+// user agent), "web" for everything else
+function detectDeviceType(req) {
+  const requested = String(req.body?.device || req.headers["x-client-platform"] || "").toLowerCase();
+  if (requested === "android" || requested === "web") return requested;
+  const ua = String(req.headers["user-agent"] || "");
+  return /Android/i.test(ua) && /(; wv\)|Capacitor)/i.test(ua) ? "android" : "web";
+}
 
-  } catch (error) {
-    console.error('❌ DATABASE CONNECTION FAILED!');
-    console.error('Error Code:', error.code);
-    console.error('Error Message:', error.message);
+// Opens a new session and returns the token pair the auth endpoints hand out
+async function createSession(req, user) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const result = await pool.query(
+    `INSERT INTO auth_sessions (user_id, refresh_token_hash, device_type, device_name, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' days')::interval)
+     RETURNING id`,
+    [
+      user.id,
+      hashToken(refreshToken),
+      detectDeviceType(req),
+      req.body?.deviceName || null,
+      req.headers["user-agent"] || null,
+      req.ip || null,
+      String(REFRESH_TOKEN_TTL_DAYS)
+    ]
+  );
+  const sessionId = result.rows[0].id;
+  return {
+    token: signToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId
+  };
+}
 
-    if (error.code === 'ECONNREFUSED') {
-      console.error('💡 Solution: Make sure PostgreSQL server is running');
-    } else if (error.code === '28P01') {
-      console.error('💡 Solution: Check username and password in .env file');
-    } else if (error.code === '3D000') {
-      console.error('💡 Solution: Create the database or check PGDATABASE in .env');
-    }
-    console.error('');
-  }
+// Revokes sessions and drops their live sockets. Pass a session id, or null
+// together with a user id to revoke all of that user's sessions.
+async function revokeSessions(userId, sessionId = null, exceptSessionId = null) {
+  const result = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND ($2::int IS NULL OR id = $2)
+       AND ($3::int IS NULL OR id <> $3)
+     RETURNING id`,
+    [userId, sessionId, exceptSessionId]
+  );
+  result.rows.forEach(row => io.in(`session-${row.id}`).disconnectSockets(true));
+  return result.rows.map(row => row.id);
 }
 
-initDb();
+// A token is accepted only while its session is live and its token_version
+// still matches the user's
+async function isTokenCurrent(payload) {
+  if (!payload.sid) return false;
+  const result = await pool.query(
+    `SELECT u.token_version
+     FROM users u
+     JOIN auth_sessions s ON s.user_id = u.id
+     WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [payload.userId, payload.sid]
+  );
+  if (!result.rows.length) return false;
+  return (payload.tv || 0) === result.rows[0].token_version;
+}
 
-// Auth helpers
 function authOptional(req, _res, next) {
   const auth = req.headers["authorization"] || "";
   const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
@@ -305,7 +243,7 @@ function authOptional(req, _res, next) {
   next();
 }
 
-function authRequired(req, res, next) {
+async function authRequired(req, res, next) {
   const auth = req.headers["authorization"] || "";
   const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
 
@@ -318,7 +256,10 @@ function authRequired(req, res, next) {
     if (!payload || !payload.userId) {
       return res.status(401).json({ error: "Invalid token", message: "Token payload is invalid" });
     }
-    req.user = { id: payload.userId, username: payload.username };
+    if (!(await isTokenCurrent(payload))) {
+      return res.status(401).json({ error: "Token revoked", message: "Please login again" });
+    }
+    req.user = { id: payload.userId, username: payload.username, sessionId: payload.sid };
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -354,12 +295,14 @@ app.post("/auth/register", async (req, res) => {
     );
 
     const user = result.rows[0];
-    const token = jwt.sign({ userId: user.id, username: user.username }, JWT_SECRET, { expiresIn: "7d" });
+    const { token, refreshToken, expiresIn } = await createSession(req, user);
 
     res.json({
       success: true,
       message: "Registration successful",
       token,
+      refreshToken,
+      expiresIn,
       user
     });
   } catch (err) {
@@ -377,15 +320,15 @@ app.post("/auth/login", async (req, res) => {
     const { username, password } = req.body;
     if (!username || !password) return res.status(400).json({ error: "username and password are required" });
 
-    const result = await pool.query(`SELECT id, username, password_hash FROM users WHERE username=$1`, [username]);
+    const result = await pool.query(`SELECT id, username, password_hash, token_version FROM users WHERE username=$1`, [username]);
     const user = result.rows[0];
     if (!user) return res.status(401).json({ error: "invalid credentials" });
 
     const ok = await bcrypt.compare(password, user.password_hash);
     if (!ok) return res.status(401).json({ error: "invalid credentials" });
 
-    const token = jwt.sign({ userId: user.id, username: user.username }, JWT_SECRET, { expiresIn: "7d" });
-    res.json({ token, user: { id: user.id, username: user.username } });
+    const { token, refreshToken, expiresIn } = await createSession(req, user);
+    res.json({ token, refreshToken, expiresIn, user: { id: user.id, username: user.username } });
   } catch (err) {
     console.error("POST /auth/login error:", err);
     res.status(500).json({ error: "Failed to login" });
@@ -396,6 +339,119 @@ app.get("/auth/verify", authRequired, (req, res) => {
   res.json({ valid: true, user: req.user });
 });
 
+// Exchange a refresh token for a new access token. The refresh token rotates
+// on every call; presenting an already-rotated one revokes the whole session
+// since it means the token was copied.
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: "refreshToken is required" });
+
+    const presentedHash = hashToken(String(refreshToken));
+    const result = await pool.query(
+      `SELECT s.id, s.user_id, s.revoked_at, s.expires_at < NOW() AS expired, u.username, u.token_version
+       FROM auth_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.refresh_token_hash = $1`,
+      [presentedHash]
+    );
+    const session = result.rows[0];
+
+    if (!session) {
+      const reused = await pool.query(
+        "SELECT id, user_id FROM auth_sessions WHERE previous_token_hash = $1 AND revoked_at IS NULL",
+        [presentedHash]
+      );
+      if (reused.rows.length) {
+        console.warn(`⚠️ Refresh token reuse detected for session ${reused.rows[0].id}, revoking`);
+        await revokeSessions(reused.rows[0].user_id, reused.rows[0].id);
+      }
+      return res.status(401).json({ error: "Invalid refresh token", message: "Please login again" });
+    }
+    if (session.revoked_at || session.expired) {
+      return res.status(401).json({ error: "Session expired", message: "Please login again" });
+    }
+
+    const nextRefreshToken = crypto.randomBytes(48).toString("hex");
+    const rotated = await pool.query(
+      `UPDATE auth_sessions
+       SET previous_token_hash = refresh_token_hash,
+           refresh_token_hash = $1,
+           last_used_at = NOW(),
+           expires_at = NOW() + ($2 || ' days')::interval
+       WHERE id = $3 AND refresh_token_hash = $4 AND revoked_at IS NULL`,
+      [hashToken(nextRefreshToken), String(REFRESH_TOKEN_TTL_DAYS), session.id, presentedHash]
+    );
+    if (!rotated.rowCount) {
+      return res.status(401).json({ error: "Invalid refresh token", message: "Please login again" });
+    }
+
+    const user = { id: session.user_id, username: session.username, token_version: session.token_version };
+    res.json({
+      token: signToken(user, session.id),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: { id: user.id, username: user.username }
+    });
+  } catch (err) {
+    console.error("POST /auth/refresh error:", err);
+    res.status(500).json({ error: "Failed to refresh token" });
+  }
+});
+
+app.post("/auth/logout", authRequired, async (req, res) => {
+  try {
+    await revokeSessions(req.user.id, req.user.sessionId);
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    console.error("POST /auth/logout error:", err);
+    res.status(500).json({ error: "Failed to logout" });
+  }
+});
+
+// Active sessions (devices) for the current user
+app.get("/auth/sessions", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, device_type, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM auth_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.id]
+    );
+    res.json(result.rows.map(session => ({ ...session, current: session.id === req.user.sessionId })));
+  } catch (err) {
+    console.error("GET /auth/sessions error:", err);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
+
+app.delete("/auth/sessions/:id", authRequired, async (req, res) => {
+  try {
+    // Anything that isn't a session id (an integer column) can't match one
+    const id = Number(req.params.id);
+    if (!/^\d+$/.test(req.params.id) || id > 2147483647) return res.status(404).json({ error: "Session not found" });
+    const revoked = await revokeSessions(req.user.id, id);
+    if (!revoked.length) return res.status(404).json({ error: "Session not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /auth/sessions/:id error:", err);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
+
+// Revoke every other session; ?all=true also ends the current one
+app.delete("/auth/sessions", authRequired, async (req, res) => {
+  try {
+    const includeCurrent = String(req.query.all || '').toLowerCase() === 'true';
+    const revoked = await revokeSessions(req.user.id, null, includeCurrent ? null : req.user.sessionId);
+    res.json({ success: true, revoked: revoked.length });
+  } catch (err) {
+    console.error("DELETE /auth/sessions error:", err);
+    res.status(500).json({ error: "Failed to revoke sessions" });
+  }
+});
+
 // Change password endpoint
 app.post("/auth/change-password", authRequired, async (req, res) => {
   try {
@@ -430,130 +486,1006 @@ app.post("/auth/change-password", authRequired, async (req, res) => {
   }
 });
 
-// Task endpoints
-app.get("/tasks", authRequired, async (req, res) => {
-  try {
-    console.log(`📋 GET /tasks called by user: ${req.user.username} (ID: ${req.user.id})`);
-    const { status, priority, category, type, project_id, important, q, sort = 'id', order = 'asc' } = req.query;
-    const where = [];
-    const values = [];
-    let idx = 1;
+// Errors carrying a status are sent back as-is by the route's catch block
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
 
-    // Always filter by user ID since auth is required
-    where.push(`user_id = $${idx++}`);
-    values.push(req.user.id);
+// Task access
+// Tasks in a project are shared with the project's members: every member can
+// read them, owners and editors can change them. Tasks without a project are
+// private to their creator.
+const PROJECT_ROLES = ['owner', 'editor', 'viewer'];
+const WRITE_ROLES = ['owner', 'editor'];
+
+// SQL condition: the user in `userParam` can read (or write) the tasks row
+// `alias`. Trashed tasks only match with `trashed`, and then only those.
+function taskAccessSql(alias, userParam, { write = false, trashed = false } = {}) {
+  return `(${alias}.deleted_at IS ${trashed ? "NOT NULL" : "NULL"} AND (
+    (${alias}.project_id IS NULL AND ${alias}.user_id = ${userParam}) OR EXISTS (
+    SELECT 1 FROM project_members pm WHERE pm.project_id = ${alias}.project_id AND pm.user_id = ${userParam}
+    ${write ? "AND pm.role IN ('owner', 'editor')" : ""})))`;
+}
 
-    if (status) {
-      where.push(`status = $${idx++}`);
-      values.push(status);
+// Loads a task the user may access or throws a 404/403 error.
+// Returns the full row and the caller's role ('owner' for personal tasks).
+async function requireTask(taskId, userId, { write = false, db = pool, lock = false } = {}) {
+  const result = await db.query(
+    `SELECT t.*, CASE WHEN t.project_id IS NULL THEN 'owner' ELSE pm.role END AS access_role
+     FROM tasks t
+     LEFT JOIN project_members pm ON pm.project_id = t.project_id AND pm.user_id = $2
+     WHERE t.id = $1 AND t.deleted_at IS NULL AND ((t.project_id IS NULL AND t.user_id = $2) OR pm.user_id IS NOT NULL)
+     ${lock ? "FOR UPDATE OF t" : ""}`,
+    [taskId, userId]
+  );
+  if (!result.rowCount) throw httpError(404, "Task not found");
+  const { access_role: role, ...task } = result.rows[0];
+  if (write && !WRITE_ROLES.includes(role)) throw httpError(403, "You only have read access to this task");
+  return { task, role };
+}
+
+// Socket.IO room that sees a task's changes
+function taskRoom(task) {
+  return task.project_id ? `project-${task.project_id}` : `user-${task.user_id}`;
+}
+
+// The caller's role in a project, or null when they are not a member
+async function getProjectRole(projectId, userId, db = pool) {
+  const result = await db.query("SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2", [projectId, userId]);
+  return result.rows[0] ? result.rows[0].role : null;
+}
+
+// assigned_to accepts a user id or a username. Assignees must be able to see
+// the task: a member of its project, or the creator for personal tasks.
+async function resolveAssignee(value, projectId, ownerId) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const byId = /^\d+$/.test(String(value));
+  const user = await pool.query(
+    `SELECT id FROM users WHERE ${byId ? "id = $1::int" : "username = $1"}`,
+    [String(value)]
+  );
+  if (!user.rowCount) throw httpError(400, "Assignee not found");
+  const assigneeId = user.rows[0].id;
+
+  if (projectId ? !(await getProjectRole(projectId, assigneeId)) : assigneeId !== ownerId) {
+    throw httpError(400, projectId ? "Assignee must be a member of the task's project" : "Tasks without a project can only be assigned to their creator");
+  }
+  return assigneeId;
+}
+
+async function notifyAssignee(task, actor) {
+  if (!task.assigned_to || task.assigned_to === actor.id) return;
+  await createNotification({
+    userId: task.assigned_to,
+    actorId: actor.id,
+    type: 'assignment',
+    taskId: task.id,
+    data: { task_title: task.title, actor_username: actor.username }
+  });
+}
+
+// Resolves the project a task should belong to. Accepts either a project_id
+// (the caller must be an owner or editor there) or a project_name, which is
+// matched case-insensitively among the caller's own projects and created on
+// the fly when it doesn't exist yet.
+// Returns undefined when neither is given, null to clear the project.
+async function resolveTaskProject(userId, projectId, projectName, db = pool) {
+  if (projectId !== undefined && projectId !== null && projectId !== '') {
+    const result = await db.query("SELECT id FROM projects WHERE id=$1", [projectId]);
+    const role = result.rows.length ? await getProjectRole(projectId, userId, db) : null;
+    if (!role) throw httpError(400, "Project not found");
+    if (!WRITE_ROLES.includes(role)) throw httpError(403, "You only have read access to this project");
+    return result.rows[0].id;
+  }
+  if (projectName !== undefined && projectName !== null && String(projectName).trim()) {
+    const name = String(projectName).trim();
+    const existing = await db.query(
+      "SELECT id FROM projects WHERE user_id=$1 AND LOWER(name)=LOWER($2) ORDER BY archived ASC, id ASC LIMIT 1",
+      [userId, name]
+    );
+    if (existing.rows.length) return existing.rows[0].id;
+    const created = await db.query(
+      "INSERT INTO projects (user_id, name) VALUES ($1, $2) RETURNING id",
+      [userId, name]
+    );
+    await db.query("INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'owner')", [created.rows[0].id, userId]);
+    io.in(`user-${userId}`).socketsJoin(`project-${created.rows[0].id}`);
+    return created.rows[0].id;
+  }
+  if (projectId === null || projectId === '' || projectName === null || projectName === '') return null;
+  return undefined;
+}
+
+// Recurrence helpers
+// Rules are stored as JSON: { freq, interval, weekdays?, month_day?, until?, count? }
+// freq is daily, weekly, monthly or after_completion (every `interval` days
+// counted from the day the previous occurrence was completed). RRULE strings
+// such as "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" are accepted and normalized.
+const RECURRENCE_FREQS = ['daily', 'weekly', 'monthly', 'after_completion'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function formatDay(dayNum) {
+  return new Date(dayNum * 86400000).toISOString().split('T')[0];
+}
+
+// Day 0 (1970-01-01) was a Thursday
+function weekdayOf(dayNum) {
+  return ((dayNum + 4) % 7 + 7) % 7;
+}
+
+function parseRrule(text) {
+  const parts = {};
+  String(text).replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    parts[String(key).trim().toUpperCase()] = String(value || '').trim();
+  });
+  const until = parts.UNTIL ? parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3') : undefined;
+  return {
+    freq: parts.FREQ ? parts.FREQ.toLowerCase() : undefined,
+    interval: parts.INTERVAL,
+    weekdays: parts.BYDAY ? parts.BYDAY.split(',') : undefined,
+    month_day: parts.BYMONTHDAY,
+    until,
+    count: parts.COUNT
+  };
+}
+
+// Returns { rule } (null clears recurrence) or { error }
+function parseRecurrence(input) {
+  if (input === null || input === '') return { rule: null };
+  const raw = typeof input === 'string' ? parseRrule(input) : input;
+  if (!raw || typeof raw !== 'object') return { error: "recurrence must be an object or an RRULE string" };
+
+  const freq = String(raw.freq || '').toLowerCase();
+  if (!RECURRENCE_FREQS.includes(freq)) {
+    return { error: `recurrence.freq must be one of ${RECURRENCE_FREQS.join(', ')}` };
+  }
+
+  const rule = { freq, interval: raw.interval !== undefined ? Number(raw.interval) : 1 };
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+    return { error: "recurrence.interval must be an integer between 1 and 365" };
+  }
+
+  const weekdays = raw.weekdays ?? raw.byday;
+  if (weekdays !== undefined && weekdays !== null) {
+    if (freq !== 'weekly') return { error: "recurrence.weekdays only applies to weekly rules" };
+    const codes = (Array.isArray(weekdays) ? weekdays : [weekdays]).map(d => String(d).toUpperCase().slice(0, 2));
+    if (!codes.length || codes.some(code => !WEEKDAY_CODES.includes(code))) {
+      return { error: `recurrence.weekdays must use ${WEEKDAY_CODES.join(', ')}` };
     }
-    if (priority) {
-      where.push(`priority = $${idx++}`);
-      values.push(priority);
+    rule.weekdays = WEEKDAY_CODES.filter(code => codes.includes(code));
+  }
+
+  const monthDay = raw.month_day ?? raw.bymonthday;
+  if (monthDay !== undefined && monthDay !== null) {
+    if (freq !== 'monthly') return { error: "recurrence.month_day only applies to monthly rules" };
+    rule.month_day = Number(monthDay);
+    if (!Number.isInteger(rule.month_day) || rule.month_day < 1 || rule.month_day > 31) {
+      return { error: "recurrence.month_day must be between 1 and 31" };
     }
-    if (category) {
-      where.push(`category = $${idx++}`);
-      values.push(category);
+  }
+
+  if (raw.until !== undefined && raw.until !== null) {
+    if (!DATE_RE.test(String(raw.until))) return { error: "recurrence.until must be YYYY-MM-DD" };
+    rule.until = String(raw.until);
+  }
+  if (raw.count !== undefined && raw.count !== null) {
+    rule.count = Number(raw.count);
+    if (!Number.isInteger(rule.count) || rule.count < 1) return { error: "recurrence.count must be a positive integer" };
+  }
+
+  return { rule };
+}
+
+// Computes the due date that follows `fromDay` under the rule
+function stepOccurrence(rule, fromDay) {
+  const from = dayNumber(fromDay);
+  if (rule.freq === 'daily' || rule.freq === 'after_completion') return from + rule.interval;
+
+  if (rule.freq === 'weekly') {
+    if (!rule.weekdays) return from + 7 * rule.interval;
+    const allowed = new Set(rule.weekdays.map(code => WEEKDAY_CODES.indexOf(code)));
+    // Weeks start on Monday; only every `interval`-th week counts
+    const weekStart = (day) => day - ((weekdayOf(day) + 6) % 7);
+    for (let day = from + 1; day <= from + 7 * (rule.interval + 1); day++) {
+      const weekOffset = (weekStart(day) - weekStart(from)) / 7;
+      if (weekOffset % rule.interval === 0 && allowed.has(weekdayOf(day))) return day;
     }
-    if (type) {
-      where.push(`type = $${idx++}`);
-      values.push(type);
+    return null;
+  }
+
+  // monthly: same day of month (or month_day), clamped to short months
+  const [y, m, d] = fromDay.split('-').map(Number);
+  const targetDay = rule.month_day || d;
+  const monthIndex = (m - 1) + rule.interval;
+  const year = y + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Math.floor(Date.UTC(year, month, Math.min(targetDay, daysInMonth)) / 86400000);
+}
+
+// Next due date after an occurrence completed on `today`, or null when the
+// series is over. Fixed schedules skip dates that are already in the past.
+function nextOccurrence(rule, dueDay, today) {
+  let next;
+  if (rule.freq === 'after_completion' || !dueDay) {
+    next = stepOccurrence(rule, today);
+  } else {
+    next = stepOccurrence(rule, dueDay);
+    for (let i = 0; next !== null && next < dayNumber(today) && i < 1000; i++) {
+      next = stepOccurrence(rule, formatDay(next));
     }
-    if (project_id) {
-      where.push(`project_id = $${idx++}`);
-      values.push(project_id);
+  }
+  if (next === null) return null;
+  if (rule.until && next > dayNumber(rule.until)) return null;
+  return formatDay(next);
+}
+
+// Creates the occurrence that follows a completed recurring task. Locks the
+// task row so completing it twice can't create two follow-ups.
+async function createNextOccurrence(taskId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const current = await client.query(
+      "SELECT *, to_char(due_date, 'YYYY-MM-DD') AS due_day FROM tasks WHERE id = $1 FOR UPDATE",
+      [taskId]
+    );
+    const task = current.rows[0];
+    const rule = task && task.recurrence;
+    if (!rule || task.recurrence_next_id || (rule.count && task.recurrence_index >= rule.count)) {
+      await client.query("ROLLBACK");
+      return null;
     }
-    if (important !== undefined) {
-      const val = String(important).toLowerCase();
-      if (val === 'true' || val === '1') {
-        where.push(`important = TRUE`);
-      } else if (val === 'false' || val === '0') {
-        where.push(`important = FALSE`);
-      }
+
+    // Pin monthly rules to the first due date's day so short months don't make it drift
+    if (rule.freq === 'monthly' && !rule.month_day && task.due_day) {
+      rule.month_day = Number(task.due_day.split('-')[2]);
     }
-    if (q) {
-      where.push(`(title ILIKE $${idx} OR COALESCE(description,'') ILIKE $${idx})`);
-      values.push(`%${q}%`);
-      idx++;
+
+    const today = new Date().toISOString().split('T')[0];
+    const nextDue = nextOccurrence(rule, task.due_day, today);
+    if (!nextDue) {
+      await client.query("ROLLBACK");
+      return null;
     }
 
-    const allowedSort = new Set(["id", "title", "status", "priority", "category", "type", "due_date", "due_time", "project_id", "created_at", "updated_at"]);
-    const sortBy = allowedSort.has(String(sort)) ? String(sort) : "id";
-    const sortOrder = String(order).toLowerCase() === "desc" ? "DESC" : "ASC";
+    const initialStatus = (await getWorkflow(task.user_id, client)).statuses[0];
+    const created = await client.query(
+      `INSERT INTO tasks (title, status, description, priority, due_date, due_time, category, type, project_id, important, assigned_to, user_id,
+                          recurrence, recurrence_series_id, recurrence_index, rank)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+       RETURNING *`,
+      [task.title, initialStatus, task.description, task.priority, nextDue, task.due_time, task.category, task.type,
+        task.project_id, task.important, task.assigned_to, task.user_id,
+        JSON.stringify(rule), task.recurrence_series_id || task.id, task.recurrence_index + 1,
+        await nextRankInColumn(task.user_id, initialStatus, client)]
+    );
+    await client.query("UPDATE tasks SET recurrence_next_id = $1 WHERE id = $2", [created.rows[0].id, taskId]);
+    await client.query(
+      "INSERT INTO task_labels (task_id, label_id) SELECT $1, label_id FROM task_labels WHERE task_id = $2",
+      [created.rows[0].id, taskId]
+    );
+    await client.query(
+      "INSERT INTO task_reminders (task_id, user_id, minutes_before) SELECT $1, user_id, minutes_before FROM task_reminders WHERE task_id = $2",
+      [created.rows[0].id, taskId]
+    );
+    await rescheduleReminders(client, [created.rows[0].id]);
+    await client.query("COMMIT");
+    return created.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
 
-    const query = `SELECT * FROM tasks ${where.length ? "WHERE " + where.join(" AND ") : ""} ORDER BY ${sortBy} ${sortOrder}`;
-    console.log(`🔍 Query: ${query}, Values: [${values.join(', ')}]`);
-    const result = await pool.query(query, values);
-    console.log(`📊 Found ${result.rows.length} tasks for user ${req.user.id}`);
-    res.json(result.rows);
+// Task workflows
+// Each user has an ordered list of statuses (the board columns), one status
+// that counts as done and optional allowed transitions ({ from: [to, ...] };
+// statuses without an entry may move anywhere). Users without a stored
+// workflow get the default board.
+const DEFAULT_WORKFLOW = {
+  statuses: ['learning', 'working', 'testing', 'completed'],
+  done_status: 'completed',
+  transitions: null
+};
+
+async function getWorkflow(userId, db = pool) {
+  const result = await db.query("SELECT statuses, done_status, transitions FROM task_workflows WHERE user_id = $1", [userId]);
+  return result.rows[0] || DEFAULT_WORKFLOW;
+}
+
+// SQL expression for the done status of the user in `userColumn`
+function doneStatusSql(userColumn) {
+  return `COALESCE((SELECT w.done_status FROM task_workflows w WHERE w.user_id = ${userColumn}), '${DEFAULT_WORKFLOW.done_status}')`;
+}
+
+function parseWorkflow(input) {
+  const { statuses, done_status, transitions } = input || {};
+  if (!Array.isArray(statuses) || statuses.length < 2) {
+    return { error: "statuses must list at least two statuses in board order" };
+  }
+  const names = statuses.map(st => (typeof st === 'string' ? st.trim() : ''));
+  if (names.some(st => !st || st.length > 50)) return { error: "Statuses must be non-empty strings of at most 50 characters" };
+  if (new Set(names).size !== names.length) return { error: "Statuses must be unique" };
+
+  const done = done_status === undefined ? names[names.length - 1] : done_status;
+  if (!names.includes(done)) return { error: "done_status must be one of the statuses" };
+
+  if (transitions !== undefined && transitions !== null) {
+    if (typeof transitions !== 'object' || Array.isArray(transitions)) {
+      return { error: "transitions must map a status to the statuses it may move to" };
+    }
+    for (const [from, targets] of Object.entries(transitions)) {
+      if (!names.includes(from)) return { error: `Unknown status in transitions: ${from}` };
+      if (!Array.isArray(targets) || targets.some(to => !names.includes(to))) {
+        return { error: `transitions.${from} must list known statuses` };
+      }
+    }
+  }
+  return { workflow: { statuses: names, done_status: done, transitions: transitions || null } };
+}
+
+// Returns an error message when `to` is not a valid next status, else null
+function checkTransition(workflow, from, to) {
+  if (!workflow.statuses.includes(to)) {
+    return `Unknown status "${to}". Expected one of: ${workflow.statuses.join(", ")}`;
+  }
+  if (from === to || !workflow.transitions) return null;
+  const allowed = workflow.transitions[from];
+  if (allowed && !allowed.includes(to)) return `Cannot move a task from "${from}" to "${to}"`;
+  return null;
+}
+
+// Forward means further right on the board
+function movesForward(workflow, from, to) {
+  return workflow.statuses.indexOf(to) > workflow.statuses.indexOf(from);
+}
+
+app.get("/workflow", authRequired, async (req, res) => {
+  try {
+    res.json(await getWorkflow(req.user.id));
   } catch (err) {
-    console.error("GET /tasks error:", err);
-    res.status(500).json({ error: "Failed to fetch tasks" });
+    console.error("GET /workflow error:", err);
+    res.status(500).json({ error: "Failed to fetch workflow" });
   }
 });
 
-app.post("/tasks", authRequired, async (req, res) => {
-  try {
-    console.log(`✅ POST /tasks called by user: ${req.user.username} (ID: ${req.user.id})`);
-    console.log(`📝 Task data:`, req.body);
+// PUT /workflow { statuses, done_status, transitions, status_map }
+// status_map moves tasks out of statuses that are being removed ({ old: new }).
+app.put("/workflow", authRequired, async (req, res) => {
+  const parsed = parseWorkflow(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { workflow } = parsed;
+  const statusMap = req.body.status_map || {};
 
-    const { title, status, description, priority, due_date, due_time, category, type, project_id, important, assigned_to } = req.body;
-    if (!title || !title.trim()) {
-      return res.status(400).json({ error: "Title is required" });
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const inUse = await client.query(
+      "SELECT DISTINCT status FROM tasks WHERE user_id = $1 AND NOT (status = ANY($2::text[]))",
+      [req.user.id, workflow.statuses]
+    );
+    const unmapped = inUse.rows.map(row => row.status).filter(st => !workflow.statuses.includes(statusMap[st]));
+    if (unmapped.length) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: "Some tasks use statuses that are not in the new workflow; map them with status_map",
+        unmapped_statuses: unmapped
+      });
     }
 
-    const st = status ?? 'pending';
-    const pr = priority ?? 'medium';
-    const cat = category ?? 'own';
-    const ty = type ?? 'work';
+    for (const row of inUse.rows) {
+      const remapped = await client.query(
+        `UPDATE tasks SET status = $1, updated_at = NOW() WHERE user_id = $2 AND status = $3 RETURNING *`,
+        [statusMap[row.status], req.user.id, row.status]
+      );
+      await logTaskChanges(client, req.user.id,
+        remapped.rows.map(task => ({ before: { ...task, status: row.status }, after: task })), { source: 'workflow' });
+    }
+    await client.query(
+      "DELETE FROM board_wip_limits WHERE user_id = $1 AND NOT (status = ANY($2::text[]))",
+      [req.user.id, workflow.statuses]
+    );
 
-    const result = await pool.query(
-      `INSERT INTO tasks (title, status, description, priority, due_date, due_time, category, type, project_id, important, assigned_to, user_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
-      [title.trim(), st, description ?? null, pr, due_date ?? null, due_time ?? null, cat, ty, project_id ?? null, Boolean(important), assigned_to ?? null, req.user.id]
+    const result = await client.query(
+      `INSERT INTO task_workflows (user_id, statuses, done_status, transitions)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id) DO UPDATE
+       SET statuses = EXCLUDED.statuses, done_status = EXCLUDED.done_status, transitions = EXCLUDED.transitions, updated_at = NOW()
+       RETURNING statuses, done_status, transitions`,
+      [req.user.id, JSON.stringify(workflow.statuses), workflow.done_status,
+        workflow.transitions ? JSON.stringify(workflow.transitions) : null]
     );
+    await client.query("COMMIT");
 
-    const task = result.rows[0];
-    console.log(`💾 Task created successfully:`, task);
-    io.to(`user-${req.user.id}`).emit("task_created", task);
-    res.json(task);
+    io.to(`user-${req.user.id}`).emit("workflow_updated", { ...result.rows[0], remapped: inUse.rows.length > 0 });
+    res.json(result.rows[0]);
   } catch (err) {
-    console.error("POST /tasks error:", err);
-    res.status(500).json({ error: "Failed to create task" });
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("PUT /workflow error:", err);
+    res.status(500).json({ error: "Failed to update workflow" });
+  } finally {
+    client.release();
   }
 });
 
-app.put("/tasks/:id", authRequired, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status, title, description, priority, due_date, due_time, category, type, project_id, important, assigned_to } = req.body;
+// Side effects of a task moving into a done status; userId is the actor
+async function afterTaskCompleted(task, userId) {
+  await notifyUnblocked(task.id);
 
-    if (status === undefined && title === undefined && description === undefined && priority === undefined && due_date === undefined && due_time === undefined && category === undefined && type === undefined && project_id === undefined && important === undefined && assigned_to === undefined) {
-      return res.status(400).json({ error: "Nothing to update" });
-    }
+  if (!task.recurrence) return null;
+  const nextTask = await createNextOccurrence(task.id);
+  if (nextTask) {
+    await logTaskChanges(pool, userId, [{ before: null, after: nextTask }], { source: 'recurrence' });
+    io.to(taskRoom(nextTask)).emit("task_created", nextTask);
+  }
+  return nextTask;
+}
 
-    // Build dynamic update
-    const fields = [];
-    const values = [];
-    let idx = 1;
+// Emits tasks_unblocked for dependents that no longer have an open blocker,
+// once per room that sees them. candidateIds is needed when the blocker row
+// itself is gone (deleted task).
+async function notifyUnblocked(blockerId, candidateIds = null) {
+  const result = await pool.query(
+    `SELECT t.id, t.project_id, t.user_id FROM tasks t
+     WHERE t.id = ANY(COALESCE($2::int[], ARRAY(SELECT task_id FROM task_dependencies WHERE depends_on_id = $1)))
+       AND t.deleted_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM task_dependencies d JOIN tasks b ON b.id = d.depends_on_id
+         WHERE d.task_id = t.id AND b.deleted_at IS NULL AND b.status <> ${doneStatusSql('b.user_id')}
+       )`,
+    [blockerId, candidateIds]
+  );
+  const byRoom = new Map();
+  result.rows.forEach(task => {
+    const room = taskRoom(task);
+    byRoom.set(room, [...(byRoom.get(room) || []), task.id]);
+  });
+  byRoom.forEach((taskIds, room) => {
+    io.to(room).emit("tasks_unblocked", { blocker_id: Number(blockerId), task_ids: taskIds });
+  });
+}
 
-    if (title !== undefined) {
-      fields.push(`title=$${idx++}`);
-      values.push(title);
-    }
-    if (status !== undefined) {
-      fields.push(`status=$${idx++}`);
-      values.push(status);
-    }
-    if (description !== undefined) {
-      fields.push(`description=$${idx++}`);
-      values.push(description);
-    }
-    if (priority !== undefined) {
-      fields.push(`priority=$${idx++}`);
-      values.push(priority);
+// Open tasks that taskId is waiting on
+async function getOpenBlockers(taskId, db = pool) {
+  const result = await db.query(
+    `SELECT b.id, b.title, b.status FROM task_dependencies d
+     JOIN tasks b ON b.id = d.depends_on_id
+     WHERE d.task_id = $1 AND b.deleted_at IS NULL AND b.status <> ${doneStatusSql('b.user_id')}
+     ORDER BY b.id`,
+    [taskId]
+  );
+  return result.rows;
+}
+
+// Board ranks: base-36 strings compared byte-wise. Rebalanced columns get
+// fixed-width keys; moves take the midpoint between the neighbouring cards.
+const RANK_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const RANK_WIDTH = 6;
+const MAX_RANK_LENGTH = 48;
+
+function rankKey(position) {
+  return position.toString(36).padStart(RANK_WIDTH, '0');
+}
+
+// A key strictly between prev and next (either may be null for an open end)
+function rankBetween(prev, next) {
+  let rank = '';
+  for (let i = 0; ; i++) {
+    const lo = prev && i < prev.length ? RANK_DIGITS.indexOf(prev[i]) : 0;
+    const hi = next && i < next.length ? RANK_DIGITS.indexOf(next[i]) : RANK_DIGITS.length;
+    if (hi - lo > 1) return rank + RANK_DIGITS[Math.floor((lo + hi) / 2)];
+    rank += RANK_DIGITS[lo];
+    // Once the prefix drops below next, next no longer bounds later digits
+    if (hi - lo === 1) next = null;
+  }
+}
+
+// Next key after prev for appending to the bottom of a column
+function rankAfter(prev) {
+  if (!prev) return rankKey(1);
+  const digits = prev.split('').map(c => RANK_DIGITS.indexOf(c));
+  for (let i = digits.length - 1; i >= 0; i--) {
+    if (digits[i] < RANK_DIGITS.length - 1) {
+      digits[i]++;
+      return digits.slice(0, i + 1).map(d => RANK_DIGITS[d]).join('').padEnd(prev.length, '0');
     }
-    if (due_date !== undefined) {
+    digits[i] = 0;
+  }
+  return prev + RANK_DIGITS[RANK_DIGITS.length / 2];
+}
+
+function isValidRank(rank, prev, next) {
+  return rank.length <= MAX_RANK_LENGTH && (!prev || rank > prev) && (!next || rank < next);
+}
+
+// Rewrites a column (every task the user sees in that status) with evenly
+// spaced keys, keeping the current order
+async function rebalanceColumn(db, userId, status) {
+  const result = await db.query(
+    `SELECT id FROM tasks WHERE ${taskAccessSql('tasks', '$1')} AND status = $2 ORDER BY rank NULLS LAST, id`,
+    [userId, status]
+  );
+  const ids = result.rows.map(row => row.id);
+  const ranks = ids.map((id, i) => rankKey(i + 1));
+  await db.query(
+    `UPDATE tasks t SET rank = r.rank
+     FROM unnest($1::int[], $2::text[]) AS r(id, rank)
+     WHERE t.id = r.id`,
+    [ids, ranks]
+  );
+  return ids.map((id, i) => ({ id, rank: ranks[i] }));
+}
+
+async function nextRankInColumn(userId, status, db = pool) {
+  const result = await db.query(`SELECT MAX(rank) AS rank FROM tasks WHERE ${taskAccessSql('tasks', '$1')} AND status = $2`, [userId, status]);
+  return rankAfter(result.rows[0].rank);
+}
+
+// Computed columns returned with every task row
+const TASK_COMPUTED_FIELDS = {
+  project_name: `(SELECT name FROM projects p WHERE p.id = tasks.project_id)`,
+  assigned_to_username: `(SELECT username FROM users u WHERE u.id = tasks.assigned_to)`,
+  subtask_count: `(SELECT COUNT(*) FROM task_subtasks s WHERE s.task_id = tasks.id)::int`,
+  subtask_done_count: `(SELECT COUNT(*) FROM task_subtasks s WHERE s.task_id = tasks.id AND s.done)::int`,
+  blocked: `EXISTS (
+    SELECT 1 FROM task_dependencies d JOIN tasks b ON b.id = d.depends_on_id
+    WHERE d.task_id = tasks.id AND b.deleted_at IS NULL AND b.status <> ${doneStatusSql('b.user_id')}
+  )`,
+  comment_count: `(SELECT COUNT(*) FROM task_comments c WHERE c.task_id = tasks.id AND c.deleted_at IS NULL)::int`,
+  labels: `COALESCE((
+    SELECT json_agg(json_build_object('id', l.id, 'name', l.name, 'color', l.color, 'user_id', l.user_id) ORDER BY LOWER(l.name), l.id)
+    FROM task_labels tl JOIN labels l ON l.id = tl.label_id WHERE tl.task_id = tasks.id
+  ), '[]')`
+};
+const TASK_COMPUTED_COLUMNS = Object.entries(TASK_COMPUTED_FIELDS).map(([name, sql]) => `${sql} AS ${name}`).join(",\n");
+
+async function loadTask(taskId) {
+  const result = await pool.query(`SELECT *, ${TASK_COMPUTED_COLUMNS} FROM tasks WHERE id = $1`, [taskId]);
+  return result.rows[0] || null;
+}
+
+// Task change log
+// Fields compared when logging updates; bookkeeping columns (rank, timestamps,
+// recurrence links) are left out.
+const TASK_HISTORY_FIELDS = ['title', 'status', 'description', 'priority', 'due_date', 'due_time', 'category', 'type',
+  'project_id', 'important', 'assigned_to', 'recurrence', 'auto_complete_subtasks'];
+
+// pg returns DATE columns as local-midnight Dates; log them as plain days
+function historyValue(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return value === undefined ? null : value;
+}
+
+function diffTask(before, after) {
+  const changes = {};
+  TASK_HISTORY_FIELDS.forEach(field => {
+    const from = before ? historyValue(before[field]) : null;
+    const to = after ? historyValue(after[field]) : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { before: from, after: to };
+  });
+  return changes;
+}
+
+// entries: [{ before, after }]; before is null for creates, after for deletes.
+// Updates that touch no tracked field are not logged.
+async function logTaskChanges(db, actorId, entries, { source = null, batchId = null, revertsChangeId = null, revertsBatchId = null } = {}) {
+  const rows = entries.map(({ before, after }) => {
+    const task = after || before;
+    const action = !before ? 'create' : !after ? 'delete' : 'update';
+    return {
+      task_id: task.id,
+      user_id: task.user_id,
+      action,
+      changes: diffTask(before, after),
+      snapshot: action === 'delete' ? { ...before, due_date: historyValue(before.due_date) } : null
+    };
+  }).filter(row => row.action !== 'update' || Object.keys(row.changes).length);
+  if (!rows.length) return [];
+
+  const result = await db.query(
+    `INSERT INTO task_changes (task_id, user_id, actor_id, action, changes, snapshot, source, batch_id, reverts_change_id, reverts_batch_id)
+     SELECT r.task_id, r.user_id, $2, r.action, r.changes, r.snapshot, $3, $4, $5, $6
+     FROM jsonb_to_recordset($1::jsonb) AS r(task_id INTEGER, user_id INTEGER, action TEXT, changes JSONB, snapshot JSONB)
+     RETURNING *`,
+    [JSON.stringify(rows), actorId, source, batchId, revertsChangeId, revertsBatchId]
+  );
+
+  const actions = { create: 'created', update: 'updated', delete: 'deleted' };
+  await queueWebhookEvents(db, result.rows.map(change => {
+    const task = entries.find(({ before, after }) => (after || before).id === change.task_id);
+    const row = task.after || task.before;
+    return {
+      event: `task.${actions[change.action]}`,
+      userId: row.user_id,
+      projectId: row.project_id,
+      data: { task: row, changes: change.action === 'update' ? change.changes : undefined, actor_id: actorId, source, batch_id: batchId }
+    };
+  }));
+  return result.rows;
+}
+
+// Writes logged field values (and the board rank) back onto a task
+async function applyTaskFields(db, taskId, values) {
+  const fields = Object.keys(values).filter(field => TASK_HISTORY_FIELDS.includes(field) || field === 'rank');
+  const params = fields.map(field => (field === 'recurrence' && values[field] !== null ? JSON.stringify(values[field]) : values[field]));
+  const result = await db.query(
+    `UPDATE tasks SET ${fields.map((field, i) => `${field}=$${i + 2}`).concat("updated_at=NOW()").join(", ")}
+     WHERE id=$1 RETURNING *`,
+    [taskId, ...params]
+  );
+  if (result.rowCount && (fields.includes('due_date') || fields.includes('due_time'))) {
+    await rescheduleReminders(db, [taskId]);
+  }
+  return result.rows[0] || null;
+}
+
+// Re-inserts a deleted task under its original id. References to rows that
+// have since been deleted are dropped.
+async function restoreTaskSnapshot(db, snapshot) {
+  const result = await db.query(
+    `INSERT INTO tasks
+     SELECT (r).* FROM (
+       SELECT jsonb_populate_record(NULL::tasks, $1::jsonb
+         || jsonb_build_object(
+              'project_id', (SELECT id FROM projects WHERE id = ($1::jsonb->>'project_id')::int),
+              'recurrence_next_id', (SELECT id FROM tasks WHERE id = ($1::jsonb->>'recurrence_next_id')::int)
+            )) AS r
+     ) restored
+     RETURNING *`,
+    [JSON.stringify(snapshot)]
+  );
+  return result.rows[0];
+}
+
+// Moves tasks to the trash and returns them as they were before, ready to be
+// logged as deletes. Dependency links stay; a trashed task no longer blocks.
+async function trashTasks(db, taskIds, userId) {
+  const result = await db.query(
+    `UPDATE tasks SET deleted_at = NOW(), deleted_by = $2
+     WHERE id = ANY($1::int[]) AND deleted_at IS NULL RETURNING *`,
+    [taskIds, userId]
+  );
+  return result.rows.map(task => ({ ...task, deleted_at: null, deleted_by: null }));
+}
+
+async function untrashTask(db, taskId) {
+  const result = await db.query(
+    "UPDATE tasks SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW() WHERE id = $1 RETURNING *",
+    [taskId]
+  );
+  return result.rows[0] || null;
+}
+
+// List endpoints
+// Opt-in keyset pagination: with ?limit= (or ?cursor=) a list comes back as
+// { data, next_cursor } instead of a bare array. Cursors are opaque and
+// remember the sort they were made for. ?fields=a,b picks columns (id is
+// always included). Responses carry an ETag and honour If-None-Match.
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+// Plain columns of a table, read once from the database
+const tableColumnsCache = new Map();
+async function tableColumns(table) {
+  if (!tableColumnsCache.has(table)) {
+    const result = await pool.query(`SELECT * FROM ${table} LIMIT 0`);
+    tableColumnsCache.set(table, result.fields.map(f => f.name).filter(name => name !== 'search_vector'));
+  }
+  return tableColumnsCache.get(table);
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), "base64url").toString());
+    if (cursor && typeof cursor.s === 'string' && Number.isInteger(cursor.id)) return cursor;
+  } catch (_e) { /* fall through */ }
+  throw httpError(400, "Invalid cursor");
+}
+
+// Rows after the cursor in `expr <order>, id <order>` order, with Postgres'
+// default NULL placement (last when ascending, first when descending)
+function keysetCondition(expr, desc, cursor, valueParam, idParam) {
+  const cmp = desc ? '<' : '>';
+  if (cursor.v === null) {
+    return desc
+      ? `((${expr} IS NULL AND id < ${idParam}) OR ${expr} IS NOT NULL)`
+      : `(${expr} IS NULL AND id > ${idParam})`;
+  }
+  const later = `(${expr} ${cmp} ${valueParam} OR (${expr} = ${valueParam} AND id ${cmp} ${idParam}))`;
+  return desc ? later : `(${later} OR ${expr} IS NULL)`;
+}
+
+// Runs a list query for `from` filtered by `where`/`values`.
+// columns: output name -> SQL expression; sorts: sort name -> SQL expression.
+async function queryList(req, { from, where, values, columns, sorts, sort, order, map = row => row }) {
+  const fields = req.query.fields
+    ? [...new Set(['id', ...String(req.query.fields).split(',').map(f => f.trim()).filter(Boolean)])]
+    : Object.keys(columns);
+  const unknown = fields.filter(f => !columns[f]);
+  if (unknown.length) throw httpError(400, `Unknown field(s): ${unknown.join(", ")}`);
+
+  const desc = String(order).toLowerCase() === 'desc';
+  const sortExpr = sorts[sort];
+  const paginate = req.query.limit !== undefined || req.query.cursor !== undefined;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+  const conditions = [...where];
+  const params = [...values];
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor.s !== sort || cursor.o !== (desc ? 'desc' : 'asc')) {
+      throw httpError(400, "Cursor was made for a different sort order");
+    }
+    if (cursor.v !== null) params.push(cursor.v);
+    params.push(cursor.id);
+    conditions.push(keysetCondition(sortExpr, desc, cursor, `$${params.length - 1}`, `$${params.length}`));
+  }
+
+  const direction = desc ? 'DESC' : 'ASC';
+  const result = await pool.query(
+    `SELECT ${fields.map(f => `${columns[f]} AS "${f}"`).join(", ")}, (${sortExpr})::text AS "__cursor"
+     FROM ${from}
+     ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""}
+     ORDER BY ${sortExpr} ${direction}, id ${direction}
+     ${paginate ? `LIMIT ${limit + 1}` : ""}`,
+    params
+  );
+
+  const rows = paginate ? result.rows.slice(0, limit) : result.rows;
+  const last = rows[rows.length - 1];
+  const nextCursor = paginate && result.rows.length > limit
+    ? encodeCursor({ s: sort, o: desc ? 'desc' : 'asc', v: last.__cursor, id: last.id })
+    : null;
+  const data = rows.map(({ __cursor, ...row }) => map(row));
+  return paginate ? { data, next_cursor: nextCursor } : data;
+}
+
+// Sends a list with an ETag over its content; a matching If-None-Match gets an empty 304
+function sendList(req, res, body) {
+  const json = JSON.stringify(body);
+  res.set({
+    ETag: `"${crypto.createHash("sha1").update(json).digest("base64url")}"`,
+    "Cache-Control": "private, no-cache"
+  });
+  if (req.fresh) return res.status(304).end();
+  res.type("json").send(json);
+}
+
+// Every plain column of `table` as a list column, qualified with `alias`
+async function listColumns(table, alias = table) {
+  const names = await tableColumns(table);
+  return Object.fromEntries(names.map(name => [name, `${alias}.${name}`]));
+}
+
+// Task endpoints
+// WHERE conditions for GET /tasks query params (also used as the filter of
+// POST /tasks/bulk). Always limited to tasks the user can read.
+async function buildTaskFilters(userId, query) {
+  const { status, priority, category, type, project_id, project_name, important, assigned_to, labels, labels_match = 'any', q } = query;
+  const where = [];
+  const values = [];
+  let idx = 1;
+
+  // Own personal tasks plus tasks in projects the user is a member of
+  where.push(taskAccessSql('tasks', `$${idx++}`));
+  values.push(userId);
+
+  if (status) {
+    where.push(`status = $${idx++}`);
+    values.push(status);
+  }
+  if (priority) {
+    where.push(`priority = $${idx++}`);
+    values.push(priority);
+  }
+  if (category) {
+    where.push(`category = $${idx++}`);
+    values.push(category);
+  }
+  if (type) {
+    where.push(`type = $${idx++}`);
+    values.push(type);
+  }
+  if (project_id) {
+    where.push(`project_id = $${idx++}`);
+    values.push(project_id);
+  }
+  if (project_name) {
+    where.push(`project_id IN (SELECT p.id FROM projects p JOIN project_members m ON m.project_id = p.id WHERE m.user_id = $1 AND p.name ILIKE $${idx++})`);
+    values.push(`%${project_name}%`);
+  }
+  if (important !== undefined) {
+    const val = String(important).toLowerCase();
+    if (val === 'true' || val === '1') {
+      where.push(`important = TRUE`);
+    } else if (val === 'false' || val === '0') {
+      where.push(`important = FALSE`);
+    }
+  }
+  if (assigned_to) {
+    // ?assigned_to=me, a user id, or "none"
+    if (assigned_to === 'none') {
+      where.push(`assigned_to IS NULL`);
+    } else {
+      where.push(`assigned_to = $${idx++}`);
+      values.push(assigned_to === 'me' ? userId : Number(assigned_to) || 0);
+    }
+  }
+  if (labels) {
+    // ?labels=frontend,12 matches tasks with any of the caller's labels; labels_match=all requires every one
+    const { ids, complete } = await resolveLabelIds(userId, labels);
+    if (String(labels_match).toLowerCase() === 'all') {
+      if (!complete) where.push(`FALSE`);
+      where.push(`(SELECT COUNT(*) FROM task_labels tl WHERE tl.task_id = tasks.id AND tl.label_id = ANY($${idx++}::int[])) = $${idx++}`);
+      values.push(ids, ids.length);
+    } else {
+      where.push(`EXISTS (SELECT 1 FROM task_labels tl WHERE tl.task_id = tasks.id AND tl.label_id = ANY($${idx++}::int[]))`);
+      values.push(ids);
+    }
+  }
+  if (q) {
+    where.push(`(title ILIKE $${idx} OR COALESCE(description,'') ILIKE $${idx})`);
+    values.push(`%${q}%`);
+    idx++;
+  }
+
+  return { where, values };
+}
+
+app.get("/tasks", authRequired, async (req, res) => {
+  try {
+    console.log(`📋 GET /tasks called by user: ${req.user.username} (ID: ${req.user.id})`);
+    const { sort = 'id', order = 'asc' } = req.query;
+    const { where, values } = await buildTaskFilters(req.user.id, req.query);
+
+    const allowedSort = ["id", "title", "status", "priority", "category", "type", "due_date", "due_time", "project_id", "created_at", "updated_at", "rank"];
+    const sortBy = allowedSort.includes(String(sort)) ? String(sort) : "id";
+
+    const body = await queryList(req, {
+      from: "tasks",
+      where,
+      values,
+      columns: { ...(await listColumns("tasks")), ...TASK_COMPUTED_FIELDS },
+      sorts: Object.fromEntries(allowedSort.map(name => [name, `tasks.${name}`])),
+      sort: sortBy,
+      order
+    });
+    console.log(`📊 Found ${(body.data || body).length} tasks for user ${req.user.id}`);
+    sendList(req, res, body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /tasks error:", err);
+    res.status(500).json({ error: "Failed to fetch tasks" });
+  }
+});
+
+app.post("/tasks", authRequired, async (req, res) => {
+  try {
+    console.log(`✅ POST /tasks called by user: ${req.user.username} (ID: ${req.user.id})`);
+    console.log(`📝 Task data:`, req.body);
+
+    const { title, status, description, priority, due_date, due_time, category, type, project_id, project_name, important, assigned_to, recurrence, auto_complete_subtasks } = req.body;
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: "Title is required" });
+    }
+
+    const parsedRecurrence = recurrence !== undefined ? parseRecurrence(recurrence) : { rule: null };
+    if (parsedRecurrence.error) return res.status(400).json({ error: parsedRecurrence.error });
+
+    let projectId;
+    try {
+      projectId = await resolveTaskProject(req.user.id, project_id, project_name);
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      throw e;
+    }
+
+    const assigneeId = await resolveAssignee(assigned_to, projectId, req.user.id);
+    const workflow = await getWorkflow(req.user.id);
+    const st = status === undefined || status === null ? workflow.statuses[0] : resolveStatusAlias(workflow, status);
+    if (!workflow.statuses.includes(st)) {
+      return res.status(400).json({ error: `Unknown status "${st}". Expected one of: ${workflow.statuses.join(", ")}` });
+    }
+    const pr = priority ?? 'medium';
+    const cat = category ?? 'own';
+    const ty = type ?? 'work';
+    // New cards go to the bottom of their column
+    const rank = await nextRankInColumn(req.user.id, st);
+
+    const result = await pool.query(
+      `INSERT INTO tasks (title, status, description, priority, due_date, due_time, category, type, project_id, important, assigned_to, user_id, recurrence, auto_complete_subtasks, rank)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *`,
+      [title.trim(), st, description ?? null, pr, due_date ?? null, due_time ?? null, cat, ty, projectId ?? null, Boolean(important), assigneeId ?? null, req.user.id,
+        parsedRecurrence.rule ? JSON.stringify(parsedRecurrence.rule) : null, Boolean(auto_complete_subtasks), rank]
+    );
+
+    const task = result.rows[0];
+    await logTaskChanges(pool, req.user.id, [{ before: null, after: task }]);
+    console.log(`💾 Task created successfully:`, task);
+    io.to(taskRoom(task)).emit("task_created", task);
+    await notifyAssignee(task, req.user);
+    res.json(task);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /tasks error:", err);
+    res.status(500).json({ error: "Failed to create task" });
+  }
+});
+
+app.put("/tasks/:id", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, description, priority, due_date, due_time, category, type, project_id, project_name, important, assigned_to, recurrence, auto_complete_subtasks, force } = req.body;
+
+    if (req.body.status === undefined && title === undefined && description === undefined && priority === undefined && due_date === undefined && due_time === undefined && category === undefined && type === undefined && project_id === undefined && project_name === undefined && important === undefined && assigned_to === undefined && recurrence === undefined && auto_complete_subtasks === undefined) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    const parsedRecurrence = recurrence !== undefined ? parseRecurrence(recurrence) : null;
+    if (parsedRecurrence && parsedRecurrence.error) return res.status(400).json({ error: parsedRecurrence.error });
+
+    const { task: previousTask } = await requireTask(id, req.user.id, { write: true });
+    // Statuses follow the workflow of the task's creator
+    const workflow = await getWorkflow(previousTask.user_id);
+    const status = req.body.status === undefined ? undefined : resolveStatusAlias(workflow, req.body.status);
+
+    let projectId;
+    try {
+      projectId = await resolveTaskProject(req.user.id, project_id, project_name);
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      throw e;
+    }
+
+    // Assignees are checked against the project the task ends up in; moving
+    // it out of the assignee's reach unassigns it
+    const finalProjectId = projectId !== undefined ? projectId : previousTask.project_id;
+    let assigneeId = await resolveAssignee(assigned_to, finalProjectId, previousTask.user_id);
+    if (assigneeId === undefined && projectId !== undefined && previousTask.assigned_to) {
+      assigneeId = await resolveAssignee(previousTask.assigned_to, finalProjectId, previousTask.user_id).catch(() => null);
+    }
+
+    // Build dynamic update
+    const fields = [];
+    const values = [];
+    let idx = 1;
+
+    if (title !== undefined) {
+      fields.push(`title=$${idx++}`);
+      values.push(title);
+    }
+    if (status !== undefined) {
+      fields.push(`status=$${idx++}`);
+      values.push(status);
+      // A card moved to another column goes to the bottom of it
+      if (status !== previousTask.status) {
+        fields.push(`rank=$${idx++}`);
+        values.push(await nextRankInColumn(previousTask.user_id, status));
+      }
+    }
+    if (description !== undefined) {
+      fields.push(`description=$${idx++}`);
+      values.push(description);
+    }
+    if (priority !== undefined) {
+      fields.push(`priority=$${idx++}`);
+      values.push(priority);
+    }
+    if (due_date !== undefined) {
       fields.push(`due_date=$${idx++}`);
       values.push(due_date);
     }
@@ -569,30 +1501,65 @@ app.put("/tasks/:id", authRequired, async (req, res) => {
       fields.push(`type=$${idx++}`);
       values.push(type);
     }
-    if (project_id !== undefined) {
+    if (projectId !== undefined) {
       fields.push(`project_id=$${idx++}`);
-      values.push(project_id);
+      values.push(projectId);
     }
     if (important !== undefined) {
       fields.push(`important=$${idx++}`);
       values.push(Boolean(important));
     }
-    if (assigned_to !== undefined) {
+    if (assigneeId !== undefined) {
       fields.push(`assigned_to=$${idx++}`);
-      values.push(assigned_to);
+      values.push(assigneeId);
+    }
+    if (parsedRecurrence) {
+      fields.push(`recurrence=$${idx++}`);
+      values.push(parsedRecurrence.rule ? JSON.stringify(parsedRecurrence.rule) : null);
+    }
+    if (auto_complete_subtasks !== undefined) {
+      fields.push(`auto_complete_subtasks=$${idx++}`);
+      values.push(Boolean(auto_complete_subtasks));
     }
     fields.push(`updated_at=NOW()`);
 
+    const previousStatus = previousTask.status;
+    if (status !== undefined) {
+      const transitionError = checkTransition(workflow, previousStatus, status);
+      if (transitionError) return res.status(400).json({ error: transitionError });
+    }
+
+    // Blocked tasks may not advance on the board unless the client forces it
+    if (status !== undefined && movesForward(workflow, previousStatus, status) && !force) {
+      const blockers = await getOpenBlockers(id);
+      if (blockers.length) {
+        return res.status(409).json({ error: "Task is blocked by unfinished tasks", blocked_by: blockers });
+      }
+    }
+
     values.push(id);
-    values.push(req.user.id);
-    const query = `UPDATE tasks SET ${fields.join(", ")} WHERE id=$${idx++} AND user_id=$${idx} RETURNING *`;
+    const query = `UPDATE tasks SET ${fields.join(", ")} WHERE id=$${idx} RETURNING *`;
     const result = await pool.query(query, values);
 
     if (!result.rowCount) return res.status(404).json({ error: "Task not found" });
     const updated = result.rows[0];
-    io.to(`user-${req.user.id}`).emit("task_updated", updated);
-    res.json(updated);
+    if (due_date !== undefined || due_time !== undefined) await rescheduleReminders(pool, [updated.id]);
+    await logTaskChanges(pool, req.user.id, [{ before: previousTask, after: updated }]);
+    io.to(taskRoom(updated)).emit("task_updated", updated);
+    if (taskRoom(previousTask) !== taskRoom(updated)) {
+      io.to(taskRoom(previousTask)).except(taskRoom(updated)).emit("task_deleted", { id: updated.id });
+    }
+    if (updated.assigned_to !== previousTask.assigned_to) await notifyAssignee(updated, req.user);
+
+    // Completing a recurring task schedules its next occurrence
+    let nextTask = null;
+    if (updated.status === workflow.done_status && previousStatus !== workflow.done_status) {
+      nextTask = await afterTaskCompleted(updated, req.user.id);
+    }
+
+    res.json(nextTask ? { ...updated, next_occurrence: nextTask } : updated);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("PUT /tasks/:id error:", err);
     res.status(500).json({ error: "Failed to update task" });
   }
@@ -601,768 +1568,5006 @@ app.put("/tasks/:id", authRequired, async (req, res) => {
 app.delete("/tasks/:id", authRequired, async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query("DELETE FROM tasks WHERE id=$1 AND user_id=$2", [id, req.user.id]);
-    if (!result.rowCount) return res.status(404).json({ error: "Task not found" });
-    io.to(`user-${req.user.id}`).emit("task_deleted", { id: Number(id) });
-    res.json({ success: true });
+    await requireTask(id, req.user.id, { write: true });
+    const [task] = await trashTasks(pool, [id], req.user.id);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    await logTaskChanges(pool, req.user.id, [{ before: task, after: null }]);
+    io.to(taskRoom(task)).emit("task_deleted", { id: Number(id) });
+    await notifyUnblocked(id);
+    res.json({ success: true, trashed: true });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("DELETE /tasks/:id error:", err);
     res.status(500).json({ error: "Failed to delete task" });
   }
 });
 
-// Bulk task actions
-app.post("/tasks/clear-completed", authRequired, async (req, res) => {
+// Board moves
+// POST /tasks/:id/move { status, prev_id, next_id, force }
+// prev_id/next_id are the cards that end up directly above/below the moved
+// card in the target column (omit either at the column edges).
+app.post("/tasks/:id/move", authRequired, async (req, res) => {
+  const { status, prev_id, next_id, force } = req.body;
+  const client = await pool.connect();
   try {
-    await pool.query("DELETE FROM tasks WHERE status='done' AND user_id=$1", [req.user.id]);
-    res.json({ success: true });
+    await client.query("BEGIN");
+    // One move per user at a time so concurrent drags can't pick the same rank
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('task_board'), $1)", [req.user.id]);
+
+    const { task } = await requireTask(req.params.id, req.user.id, { write: true, db: client, lock: true });
+    const workflow = await getWorkflow(task.user_id, client);
+    const targetStatus = status === undefined || status === null ? task.status : resolveStatusAlias(workflow, status);
+
+    if (targetStatus !== task.status) {
+      const transitionError = checkTransition(workflow, task.status, targetStatus);
+      if (transitionError) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: transitionError });
+      }
+
+      if (movesForward(workflow, task.status, targetStatus) && !force) {
+        const blockers = await getOpenBlockers(task.id);
+        if (blockers.length) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({ error: "Task is blocked by unfinished tasks", blocked_by: blockers });
+        }
+      }
+
+      const limit = await client.query(
+        `SELECT l.wip_limit, (SELECT COUNT(*) FROM tasks t WHERE ${taskAccessSql('t', 'l.user_id')} AND t.status = l.status)::int AS count
+         FROM board_wip_limits l WHERE l.user_id = $1 AND l.status = $2`,
+        [req.user.id, targetStatus]
+      );
+      if (limit.rowCount && limit.rows[0].count >= limit.rows[0].wip_limit) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: `WIP limit reached for ${targetStatus}`, status: targetStatus, wip_limit: limit.rows[0].wip_limit });
+      }
+    }
+
+    const loadNeighbours = async () => {
+      const ids = [prev_id, next_id].filter(id => id !== undefined && id !== null).map(Number);
+      const result = await client.query(
+        `SELECT id, rank FROM tasks WHERE id = ANY($1::int[]) AND ${taskAccessSql('tasks', '$2')} AND status = $3 AND id <> $4`,
+        [ids, req.user.id, targetStatus, task.id]
+      );
+      if (result.rowCount !== ids.length) return null;
+      const byId = new Map(result.rows.map(row => [row.id, row.rank]));
+      return {
+        prev: prev_id != null ? byId.get(Number(prev_id)) : null,
+        next: next_id != null ? byId.get(Number(next_id)) : null,
+        unranked: result.rows.some(row => row.rank === null)
+      };
+    };
+
+    let neighbours = await loadNeighbours();
+    if (!neighbours) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "prev_id and next_id must be other tasks in the target column" });
+    }
+
+    let rank = neighbours.unranked ? null : rankBetween(neighbours.prev, neighbours.next);
+    let rebalanced = null;
+    if (!rank || !isValidRank(rank, neighbours.prev, neighbours.next)) {
+      // Unranked neighbours, colliding keys or keys grown too long
+      await client.query("UPDATE tasks SET rank = NULL WHERE id = $1", [task.id]);
+      rebalanced = await rebalanceColumn(client, req.user.id, targetStatus);
+      neighbours = await loadNeighbours();
+      rank = rankBetween(neighbours.prev, neighbours.next);
+      // Evenly spaced keys only fail when prev doesn't sort before next
+      if (!isValidRank(rank, neighbours.prev, neighbours.next)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "prev_id must come before next_id in the target column" });
+      }
+    }
+
+    const result = await client.query(
+      "UPDATE tasks SET status = $1, rank = $2, updated_at = NOW() WHERE id = $3 RETURNING *",
+      [targetStatus, rank, task.id]
+    );
+    await logTaskChanges(client, req.user.id, [{ before: task, after: result.rows[0] }], { source: 'move' });
+    await client.query("COMMIT");
+
+    const moved = result.rows[0];
+    io.to(taskRoom(moved)).emit("task_moved", {
+      id: moved.id,
+      status: moved.status,
+      rank: moved.rank,
+      previous_status: task.status,
+      // Present when the column was re-keyed so other boards can refresh every card
+      ...(rebalanced ? { ranks: rebalanced.filter(r => r.id !== moved.id) } : {})
+    });
+
+    let nextTask = null;
+    if (moved.status === workflow.done_status && task.status !== workflow.done_status) {
+      nextTask = await afterTaskCompleted(moved, req.user.id);
+    }
+    res.json(nextTask ? { ...moved, next_occurrence: nextTask } : moved);
   } catch (err) {
-    console.error("POST /tasks/clear-completed error:", err);
-    res.status(500).json({ error: "Failed to clear completed" });
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /tasks/:id/move error:", err);
+    res.status(500).json({ error: "Failed to move task" });
+  } finally {
+    client.release();
   }
 });
 
-app.post("/tasks/mark-all-done", authRequired, async (req, res) => {
+// WIP limits per board column
+app.get("/board/wip-limits", authRequired, async (req, res) => {
   try {
-    await pool.query("UPDATE tasks SET status='done', updated_at=NOW() WHERE status<>'done' AND user_id=$1", [req.user.id]);
-    res.json({ success: true });
+    const result = await pool.query(
+      `SELECT l.status, l.wip_limit,
+              (SELECT COUNT(*) FROM tasks t WHERE ${taskAccessSql('t', 'l.user_id')} AND t.status = l.status)::int AS count
+       FROM board_wip_limits l WHERE l.user_id = $1 ORDER BY l.status`,
+      [req.user.id]
+    );
+    res.json(result.rows);
   } catch (err) {
-    console.error("POST /tasks/mark-all-done error:", err);
-    res.status(500).json({ error: "Failed to mark all done" });
+    console.error("GET /board/wip-limits error:", err);
+    res.status(500).json({ error: "Failed to fetch WIP limits" });
   }
 });
 
-// Learning Progress API
-app.get("/learning/progress", authRequired, async (req, res) => {
+// PUT with { wip_limit: null } removes the limit
+app.put("/board/wip-limits/:status", authRequired, async (req, res) => {
   try {
+    const { wip_limit } = req.body;
+    if (wip_limit === null) {
+      await pool.query("DELETE FROM board_wip_limits WHERE user_id = $1 AND status = $2", [req.user.id, req.params.status]);
+      return res.json({ status: req.params.status, wip_limit: null });
+    }
+    const limit = Number(wip_limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: "wip_limit must be a positive integer or null" });
+    }
     const result = await pool.query(
-      "SELECT * FROM learning_progress WHERE user_id=$1 ORDER BY last_practiced DESC NULLS LAST",
-      [req.user.id]
+      `INSERT INTO board_wip_limits (user_id, status, wip_limit) VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, status) DO UPDATE SET wip_limit = EXCLUDED.wip_limit, updated_at = NOW()
+       RETURNING status, wip_limit`,
+      [req.user.id, req.params.status, limit]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("PUT /board/wip-limits/:status error:", err);
+    res.status(500).json({ error: "Failed to update WIP limit" });
+  }
+});
+
+// Subtasks (checklist items) API
+// Subtask changes re-broadcast the parent through task_updated so other
+// devices pick up the new counts.
+async function broadcastTask(taskId) {
+  const task = await loadTask(taskId);
+  if (task) io.to(taskRoom(task)).emit("task_updated", task);
+  return task;
+}
+
+// Completes the parent when it opted in, every subtask is done and the
+// workflow allows moving it to the done status. actorId ticked the last item.
+async function autoCompleteParent(taskId, actorId) {
+  const current = await pool.query("SELECT * FROM tasks WHERE id = $1", [taskId]);
+  if (!current.rowCount) return;
+  const workflow = await getWorkflow(current.rows[0].user_id);
+  if (checkTransition(workflow, current.rows[0].status, workflow.done_status)) return;
+
+  const result = await pool.query(
+    `UPDATE tasks
+     SET status = $2, updated_at = NOW()
+     WHERE id = $1 AND auto_complete_subtasks
+       AND status <> $2
+       AND EXISTS (SELECT 1 FROM task_subtasks WHERE task_id = $1)
+       AND NOT EXISTS (SELECT 1 FROM task_subtasks WHERE task_id = $1 AND NOT done)
+     RETURNING *`,
+    [taskId, workflow.done_status]
+  );
+  if (!result.rowCount) return;
+  await logTaskChanges(pool, actorId, [{ before: current.rows[0], after: result.rows[0] }], { source: 'subtasks' });
+  await afterTaskCompleted(result.rows[0], actorId);
+}
+
+app.get("/tasks/:id/subtasks", authRequired, async (req, res) => {
+  try {
+    await requireTask(req.params.id, req.user.id);
+    const result = await pool.query(
+      "SELECT * FROM task_subtasks WHERE task_id = $1 ORDER BY position ASC, id ASC",
+      [req.params.id]
     );
     res.json(result.rows);
   } catch (err) {
-    console.error("GET /learning/progress error:", err);
-    res.status(500).json({ error: "Failed to fetch learning progress" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /tasks/:id/subtasks error:", err);
+    res.status(500).json({ error: "Failed to fetch subtasks" });
   }
 });
 
-app.post("/learning/progress", authRequired, async (req, res) => {
+app.post("/tasks/:id/subtasks", authRequired, async (req, res) => {
   try {
-    const { subject, topic, skill_level, hours_spent, progress_percentage, notes } = req.body;
-    if (!subject) return res.status(400).json({ error: "subject is required" });
+    const { title, done } = req.body;
+    if (!title || !String(title).trim()) return res.status(400).json({ error: "Title is required" });
+    await requireTask(req.params.id, req.user.id, { write: true });
 
     const result = await pool.query(
-      `INSERT INTO learning_progress (user_id, subject, topic, skill_level, hours_spent, progress_percentage, notes, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING *`,
-      [req.user.id, subject, topic, skill_level, hours_spent, progress_percentage, notes]
+      `INSERT INTO task_subtasks (task_id, user_id, title, done, completed_at, position)
+       VALUES ($1, $2, $3, $4, CASE WHEN $4 THEN NOW() END,
+               (SELECT COALESCE(MAX(position), -1) + 1 FROM task_subtasks WHERE task_id = $1))
+       RETURNING *`,
+      [req.params.id, req.user.id, String(title).trim(), Boolean(done)]
     );
-    res.json(result.rows[0]);
+
+    if (done) await autoCompleteParent(req.params.id, req.user.id);
+    await broadcastTask(req.params.id);
+    res.status(201).json(result.rows[0]);
   } catch (err) {
-    console.error("POST /learning/progress error:", err);
-    res.status(500).json({ error: "Failed to save learning progress" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /tasks/:id/subtasks error:", err);
+    res.status(500).json({ error: "Failed to create subtask" });
   }
 });
 
-app.put("/learning/progress/:id", authRequired, async (req, res) => {
+app.put("/tasks/:id/subtasks/:subtaskId", authRequired, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { subject, topic, skill_level, hours_spent, progress_percentage, notes } = req.body;
+    const { title, done } = req.body;
+    if (title === undefined && done === undefined) return res.status(400).json({ error: "Nothing to update" });
+    if (title !== undefined && !String(title).trim()) return res.status(400).json({ error: "Title cannot be empty" });
 
+    await requireTask(req.params.id, req.user.id, { write: true });
     const result = await pool.query(
-      `UPDATE learning_progress SET
-        subject=$1, topic=$2, skill_level=$3, hours_spent=$4,
-        progress_percentage=$5, notes=$6, updated_at=NOW(), last_practiced=NOW()
-       WHERE id=$7 AND user_id=$8 RETURNING *`,
-      [subject, topic, skill_level, hours_spent, progress_percentage, notes, id, req.user.id]
+      `UPDATE task_subtasks
+       SET title = COALESCE($3, title),
+           done = COALESCE($4, done),
+           completed_at = CASE
+             WHEN $4::boolean IS TRUE AND NOT done THEN NOW()
+             WHEN $4::boolean IS FALSE THEN NULL
+             ELSE completed_at
+           END,
+           updated_at = NOW()
+       WHERE id = $1 AND task_id = $2
+       RETURNING *`,
+      [req.params.subtaskId, req.params.id, title !== undefined ? String(title).trim() : null,
+        done === undefined ? null : Boolean(done)]
     );
+    if (!result.rowCount) return res.status(404).json({ error: "Subtask not found" });
 
-    if (!result.rowCount) return res.status(404).json({ error: "Learning progress not found" });
+    if (done) await autoCompleteParent(req.params.id, req.user.id);
+    await broadcastTask(req.params.id);
     res.json(result.rows[0]);
   } catch (err) {
-    console.error("PUT /learning/progress/:id error:", err);
-    res.status(500).json({ error: "Failed to update learning progress" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("PUT /tasks/:id/subtasks/:subtaskId error:", err);
+    res.status(500).json({ error: "Failed to update subtask" });
   }
 });
 
-app.delete("/learning/progress/:id", authRequired, async (req, res) => {
+app.delete("/tasks/:id/subtasks/:subtaskId", authRequired, async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query("DELETE FROM learning_progress WHERE id=$1 AND user_id=$2", [id, req.user.id]);
-    if (!result.rowCount) return res.status(404).json({ error: "Learning progress not found" });
+    await requireTask(req.params.id, req.user.id, { write: true });
+    const result = await pool.query(
+      "DELETE FROM task_subtasks WHERE id = $1 AND task_id = $2",
+      [req.params.subtaskId, req.params.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Subtask not found" });
+
+    // Removing the last open item can leave every remaining one done
+    await autoCompleteParent(req.params.id, req.user.id);
+    await broadcastTask(req.params.id);
     res.json({ success: true });
   } catch (err) {
-    console.error("DELETE /learning/progress/:id error:", err);
-    res.status(500).json({ error: "Failed to delete learning progress" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("DELETE /tasks/:id/subtasks/:subtaskId error:", err);
+    res.status(500).json({ error: "Failed to delete subtask" });
   }
 });
 
-// File upload endpoint for notes
-app.post("/notes/:id/files", authRequired, async (req, res) => {
+// Reorder with { order: [subtaskId, ...] }; every subtask of the task must be listed
+app.put("/tasks/:id/subtasks-order", authRequired, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { filename, fileData, fileSize, mimeType } = req.body;
-
-    if (!filename || !fileData) {
-      return res.status(400).json({ error: "Filename and file data are required" });
+    const order = Array.isArray(req.body.order) ? req.body.order.map(Number) : null;
+    if (!order || order.some(id => !Number.isInteger(id)) || new Set(order).size !== order.length) {
+      return res.status(400).json({ error: "order must be an array of distinct subtask ids" });
     }
+    await requireTask(req.params.id, req.user.id, { write: true });
 
-    // Verify note ownership
-    const noteCheck = await pool.query("SELECT id FROM notes WHERE id = $1 AND user_id = $2", [id, req.user.id]);
-    if (!noteCheck.rows.length) {
-      return res.status(404).json({ error: "Note not found" });
+    const existing = await pool.query("SELECT id FROM task_subtasks WHERE task_id = $1", [req.params.id]);
+    const ids = new Set(existing.rows.map(row => row.id));
+    if (ids.size !== order.length || order.some(id => !ids.has(id))) {
+      return res.status(400).json({ error: "order must list every subtask of this task exactly once" });
     }
 
-    // Store file info in database (in a real app, you'd save the file to storage)
     const result = await pool.query(
-      "INSERT INTO files (note_id, user_id, filename, original_name, file_path, file_size, mime_type) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *",
-      [id, req.user.id, filename, filename, fileData, fileSize, mimeType]
+      `UPDATE task_subtasks s
+       SET position = o.position - 1, updated_at = NOW()
+       FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+       WHERE s.id = o.id AND s.task_id = $1
+       RETURNING s.*`,
+      [req.params.id, order]
     );
 
-    res.json(result.rows[0]);
+    await broadcastTask(req.params.id);
+    res.json(result.rows.sort((a, b) => a.position - b.position));
   } catch (err) {
-    console.error("POST /notes/:id/files error:", err);
-    res.status(500).json({ error: "Failed to upload file" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("PUT /tasks/:id/subtasks-order error:", err);
+    res.status(500).json({ error: "Failed to reorder subtasks" });
   }
 });
 
-// Get files for a note
-app.get("/notes/:id/files", authRequired, async (req, res) => {
+// Task dependencies API
+// GET returns both directions: what the task waits on and what waits on it
+app.get("/tasks/:id/dependencies", authRequired, async (req, res) => {
   try {
-    const { id } = req.params;
+    await requireTask(req.params.id, req.user.id);
+    // Linked tasks the caller cannot see are left out of the lists but still count towards `blocked`
+    const [task, blockedBy, blocking] = await Promise.all([
+      loadTask(req.params.id),
+      pool.query(
+        `SELECT t.id, t.title, t.status FROM task_dependencies d JOIN tasks t ON t.id = d.depends_on_id
+         WHERE d.task_id = $1 AND ${taskAccessSql('t', '$2')} ORDER BY t.id`,
+        [req.params.id, req.user.id]
+      ),
+      pool.query(
+        `SELECT t.id, t.title, t.status FROM task_dependencies d JOIN tasks t ON t.id = d.task_id
+         WHERE d.depends_on_id = $1 AND ${taskAccessSql('t', '$2')} ORDER BY t.id`,
+        [req.params.id, req.user.id]
+      )
+    ]);
+    res.json({
+      blocked_by: blockedBy.rows,
+      blocking: blocking.rows,
+      blocked: task.blocked
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /tasks/:id/dependencies error:", err);
+    res.status(500).json({ error: "Failed to fetch dependencies" });
+  }
+});
 
-    // Verify note ownership
-    const noteCheck = await pool.query("SELECT id FROM notes WHERE id = $1 AND user_id = $2", [id, req.user.id]);
-    if (!noteCheck.rows.length) {
-      return res.status(404).json({ error: "Note not found" });
+app.post("/tasks/:id/dependencies", authRequired, async (req, res) => {
+  const taskId = Number(req.params.id);
+  const dependsOnId = Number(req.body.depends_on_id);
+  if (!Number.isInteger(dependsOnId)) return res.status(400).json({ error: "depends_on_id is required" });
+  if (dependsOnId === taskId) return res.status(400).json({ error: "A task cannot depend on itself" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Serialise dependency edits so two requests can't close a cycle together
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('task_dependencies'))");
+
+    await requireTask(taskId, req.user.id, { write: true, db: client });
+    await requireTask(dependsOnId, req.user.id, { db: client });
+
+    // Adding task -> dependsOn closes a cycle if dependsOn already (transitively) waits on task
+    const cycle = await client.query(
+      `WITH RECURSIVE chain(id) AS (
+         SELECT depends_on_id FROM task_dependencies WHERE task_id = $1
+         UNION
+         SELECT d.depends_on_id FROM task_dependencies d JOIN chain c ON d.task_id = c.id
+       )
+       SELECT 1 FROM chain WHERE id = $2 LIMIT 1`,
+      [dependsOnId, taskId]
+    );
+    if (cycle.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Dependency would create a cycle" });
     }
 
+    const inserted = await client.query(
+      `INSERT INTO task_dependencies (task_id, depends_on_id, user_id) VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING RETURNING *`,
+      [taskId, dependsOnId, req.user.id]
+    );
+    await client.query("COMMIT");
+
+    await broadcastTask(taskId);
+    res.status(inserted.rowCount ? 201 : 200).json({ task_id: taskId, depends_on_id: dependsOnId });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /tasks/:id/dependencies error:", err);
+    res.status(500).json({ error: "Failed to add dependency" });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete("/tasks/:id/dependencies/:dependsOnId", authRequired, async (req, res) => {
+  try {
+    await requireTask(req.params.id, req.user.id, { write: true });
     const result = await pool.query(
-      "SELECT id, filename, original_name, file_size, mime_type, created_at FROM files WHERE note_id = $1 AND user_id = $2 ORDER BY created_at DESC",
-      [id, req.user.id]
+      `DELETE FROM task_dependencies WHERE task_id = $1 AND depends_on_id = $2
+       RETURNING (SELECT b.status <> ${doneStatusSql('b.user_id')} FROM tasks b WHERE b.id = depends_on_id AND b.deleted_at IS NULL) AS blocker_open`,
+      [req.params.id, req.params.dependsOnId]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Dependency not found" });
+
+    if (result.rows[0].blocker_open) {
+      await notifyUnblocked(req.params.dependsOnId, [Number(req.params.id)]);
+    }
+    await broadcastTask(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("DELETE /tasks/:id/dependencies/:dependsOnId error:", err);
+    res.status(500).json({ error: "Failed to remove dependency" });
+  }
+});
+
+// Status history: one row per status the task entered, with how long it stayed
+app.get("/tasks/:id/status-history", authRequired, async (req, res) => {
+  try {
+    await requireTask(req.params.id, req.user.id);
+    const result = await pool.query(
+      `SELECT id, from_status, to_status AS status, changed_at AS entered_at,
+              LEAD(changed_at) OVER (ORDER BY changed_at, id) AS left_at
+       FROM task_status_history WHERE task_id = $1
+       ORDER BY changed_at, id`,
+      [req.params.id]
     );
+    res.json(result.rows.map(row => ({
+      ...row,
+      duration_seconds: Math.round(((row.left_at ? new Date(row.left_at) : new Date()) - new Date(row.entered_at)) / 1000)
+    })));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /tasks/:id/status-history error:", err);
+    res.status(500).json({ error: "Failed to fetch status history" });
+  }
+});
+
+// Change history, revert and undo
+const CHANGE_SELECT = `
+  SELECT c.*, u.username AS actor_username
+  FROM task_changes c LEFT JOIN users u ON u.id = c.actor_id
+`;
 
+app.get("/tasks/:id/history", authRequired, async (req, res) => {
+  try {
+    // History outlives the task: once it is deleted, its owner and the people
+    // who changed it can still read the log
+    const exists = await pool.query("SELECT 1 FROM tasks WHERE id = $1 AND deleted_at IS NULL", [req.params.id]);
+    if (exists.rowCount) await requireTask(req.params.id, req.user.id);
+    const result = exists.rowCount
+      ? await pool.query(`${CHANGE_SELECT} WHERE c.task_id = $1 ORDER BY c.id DESC`, [req.params.id])
+      : await pool.query(
+        `${CHANGE_SELECT} WHERE c.task_id = $1 AND (c.user_id = $2 OR c.actor_id = $2) ORDER BY c.id DESC`,
+        [req.params.id, req.user.id]
+      );
+    if (!result.rowCount) return res.status(404).json({ error: "Task not found" });
     res.json(result.rows);
   } catch (err) {
-    console.error("GET /notes/:id/files error:", err);
-    res.status(500).json({ error: "Failed to fetch files" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /tasks/:id/history error:", err);
+    res.status(500).json({ error: "Failed to fetch task history" });
   }
 });
 
-// Delete file
-app.delete("/files/:id", authRequired, async (req, res) => {
+// Newest first; page with ?before=<change id>
+app.get("/activity", authRequired, async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query("DELETE FROM files WHERE id = $1 AND user_id = $2", [id, req.user.id]);
-    if (!result.rowCount) return res.status(404).json({ error: "File not found" });
-    res.json({ success: true });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const before = req.query.before ? Number(req.query.before) : null;
+    const result = await pool.query(
+      `SELECT c.*, u.username AS actor_username,
+              COALESCE(t.title, c.snapshot->>'title', c.changes->'title'->>'after', c.changes->'title'->>'before') AS task_title
+       FROM task_changes c
+       LEFT JOIN users u ON u.id = c.actor_id
+       LEFT JOIN tasks t ON t.id = c.task_id
+       WHERE (c.user_id = $1 OR c.actor_id = $1 OR (t.id IS NOT NULL AND ${taskAccessSql('t', '$1')}))
+         AND ($2::bigint IS NULL OR c.id < $2)
+       ORDER BY c.id DESC LIMIT $3`,
+      [req.user.id, before, limit]
+    );
+    res.json(result.rows);
   } catch (err) {
-    console.error("DELETE /files/:id error:", err);
-    res.status(500).json({ error: "Failed to delete file" });
+    console.error("GET /activity error:", err);
+    res.status(500).json({ error: "Failed to fetch activity" });
   }
 });
 
-// Notes API
-app.get("/notes", authRequired, async (req, res) => {
+// Reverses one logged change on `db` (inside the caller's transaction).
+// Returns { before, after } for the new change, or { conflict } when the task
+// has moved on: a field changed again (overridable with force) or the task
+// is already gone / already back. userId is the user doing the revert.
+async function revertTaskChange(db, change, userId, { force = false } = {}) {
+  const current = await db.query("SELECT * FROM tasks WHERE id = $1 AND user_id = $2 FOR UPDATE", [change.task_id, change.user_id]);
+  const row = current.rows[0] || null;
+  const task = row && !row.deleted_at ? row : null;
+
+  // Undoing a create moves the task to the trash; undoing a delete takes it
+  // out of the trash, or rebuilds it from the snapshot once it was purged
+  if (change.action === 'create') {
+    if (!task) return { conflict: "Task no longer exists" };
+    const [trashed] = await trashTasks(db, [task.id], userId);
+    return { before: trashed, after: null };
+  }
+  if (change.action === 'delete') {
+    if (task) return { conflict: "Task already exists" };
+    if (row) return { before: null, after: await untrashTask(db, row.id) };
+    return { before: null, after: await restoreTaskSnapshot(db, change.snapshot) };
+  }
+
+  if (!task) return { conflict: "Task no longer exists" };
+  const fields = Object.keys(change.changes);
+  const changedSince = fields.filter(field => JSON.stringify(historyValue(task[field])) !== JSON.stringify(change.changes[field].after));
+  if (changedSince.length && !force) return { conflict: "Task has changed since", fields: changedSince };
+
+  const values = {};
+  fields.forEach(field => { values[field] = change.changes[field].before; });
+  return { before: task, after: await applyTaskFields(db, task.id, values) };
+}
+
+// Reverting needs write access to the task or, once it is deleted, to the
+// project (or personal list) it was deleted from
+async function canRevertChange(db, change, userId) {
+  const existing = await db.query("SELECT project_id, user_id FROM tasks WHERE id = $1", [change.task_id]);
+  const task = existing.rows[0] || change.snapshot || { project_id: null, user_id: change.user_id };
+  if (task.project_id) return WRITE_ROLES.includes(await getProjectRole(task.project_id, userId, db));
+  return task.user_id === userId;
+}
+
+function emitTaskChange({ before, after }) {
+  if (!after) io.to(taskRoom(before)).emit("task_deleted", { id: before.id });
+  else io.to(taskRoom(after)).emit(before ? "task_updated" : "task_created", after);
+}
+
+// POST /tasks/:id/revert/:changeId { force }
+app.post("/tasks/:id/revert/:changeId", authRequired, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { type } = req.query;
-    let query = "SELECT * FROM notes WHERE user_id = $1";
-    let values = [req.user.id];
+    await client.query("BEGIN");
+    const change = await client.query(
+      "SELECT * FROM task_changes WHERE id = $1 AND task_id = $2",
+      [req.params.changeId, req.params.id]
+    );
+    if (!change.rowCount || !(await canRevertChange(client, change.rows[0], req.user.id))) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Change not found" });
+    }
 
-    if (type) {
-      query += " AND type = $2";
-      values.push(type);
+    const reverted = await revertTaskChange(client, change.rows[0], req.user.id, { force: Boolean(req.body.force) });
+    if (reverted.conflict) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: reverted.conflict, fields: reverted.fields });
     }
+    const [logged] = await logTaskChanges(client, req.user.id, [reverted],
+      { source: 'revert', revertsChangeId: change.rows[0].id });
+    await client.query("COMMIT");
 
-    query += " ORDER BY updated_at DESC";
-    const result = await pool.query(query, values);
+    emitTaskChange(reverted);
+    res.json({ task: reverted.after, change: logged || null });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("POST /tasks/:id/revert/:changeId error:", err);
+    res.status(500).json({ error: "Failed to revert change" });
+  } finally {
+    client.release();
+  }
+});
 
-    // Parse attachments from JSON for each note
-    const notesWithAttachments = result.rows.map(note => ({
-      ...note,
-      attachments: note.attachments ? (typeof note.attachments === 'string' ? JSON.parse(note.attachments) : note.attachments) : []
-    }));
+// Undoes the most recent bulk action (one batch_id). Fails with 409 when some
+// of its tasks have changed since, unless { force: true }, which skips tasks
+// that no longer exist (or already exist again) and overwrites the rest.
+app.post("/tasks/undo", authRequired, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const latest = await client.query(
+      `SELECT batch_id, source,
+              EXISTS (SELECT 1 FROM task_changes u WHERE u.reverts_batch_id = c.batch_id) AS undone
+       FROM task_changes c
+       WHERE c.actor_id = $1 AND c.batch_id IS NOT NULL
+       ORDER BY c.id DESC LIMIT 1`,
+      [req.user.id]
+    );
+    if (!latest.rowCount || latest.rows[0].undone) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Nothing to undo" });
+    }
+    const { batch_id: batchId, source } = latest.rows[0];
+
+    const changes = await client.query("SELECT * FROM task_changes WHERE batch_id = $1 ORDER BY id DESC", [batchId]);
+    const reverted = [];
+    const conflicts = [];
+    for (const change of changes.rows) {
+      if (!(await canRevertChange(client, change, req.user.id))) {
+        conflicts.push({ change_id: change.id, task_id: change.task_id, error: "No longer allowed to edit this task" });
+        continue;
+      }
+      const result = await revertTaskChange(client, change, req.user.id, { force: Boolean(req.body.force) });
+      if (result.conflict) conflicts.push({ change_id: change.id, task_id: change.task_id, error: result.conflict, fields: result.fields });
+      else reverted.push(result);
+    }
+    if (conflicts.length && !req.body.force) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Some tasks have changed since this action", conflicts });
+    }
 
-    res.json(notesWithAttachments);
+    await logTaskChanges(client, req.user.id, reverted, { source: 'undo', revertsBatchId: batchId });
+    await client.query("COMMIT");
+
+    reverted.forEach(change => emitTaskChange(change));
+    res.json({ undone: source, batch_id: batchId, count: reverted.length, skipped: conflicts });
   } catch (err) {
-    console.error("GET /notes error:", err);
-    res.status(500).json({ error: "Failed to fetch notes" });
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("POST /tasks/undo error:", err);
+    res.status(500).json({ error: "Failed to undo" });
+  } finally {
+    client.release();
   }
 });
 
-app.post("/notes", authRequired, async (req, res) => {
+// Comments API
+// Comments are threaded through parent_id. Deleting a comment that has
+// replies blanks it instead so the thread stays intact.
+const MENTION_RE = /(?:^|[^\w@])@([\w.-]+)/g;
+
+// Users mentioned in a comment body who can read the task, excluding the author
+async function findMentionedUsers(body, authorId, taskId) {
+  const names = [...new Set([...String(body || '').matchAll(MENTION_RE)].map(m => m[1].replace(/[.-]+$/, '')))];
+  if (!names.length) return [];
+  const result = await pool.query(
+    `SELECT u.id, u.username FROM users u
+     WHERE u.username = ANY($1::text[]) AND u.id <> $2
+       AND EXISTS (SELECT 1 FROM tasks t WHERE t.id = $3 AND ${taskAccessSql('t', 'u.id')})`,
+    [names, authorId, taskId]
+  );
+  return result.rows;
+}
+
+async function createNotification({ userId, actorId, type, taskId = null, commentId = null, data = {} }) {
+  const result = await pool.query(
+    `INSERT INTO notifications (user_id, actor_id, type, task_id, comment_id, data)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [userId, actorId, type, taskId, commentId, JSON.stringify(data)]
+  );
+  io.to(`user-${userId}`).emit("notification", result.rows[0]);
+  return result.rows[0];
+}
+
+async function notifyMentions(comment, task, author, previousBody = null) {
+  const mentioned = await findMentionedUsers(comment.body, author.id, task.id);
+  // On edits only people who were not already mentioned hear about it
+  const already = new Set((await findMentionedUsers(previousBody, author.id, task.id)).map(u => u.id));
+  for (const user of mentioned.filter(u => !already.has(u.id))) {
+    await createNotification({
+      userId: user.id,
+      actorId: author.id,
+      type: 'mention',
+      taskId: task.id,
+      commentId: comment.id,
+      data: { task_title: task.title, actor_username: author.username, excerpt: comment.body.slice(0, 200) }
+    });
+  }
+}
+
+const COMMENT_SELECT = `
+  SELECT c.id, c.task_id, c.parent_id, c.user_id, u.username AS author_username,
+         CASE WHEN c.deleted_at IS NULL THEN c.body END AS body,
+         c.deleted_at IS NOT NULL AS deleted, c.edited_at, c.created_at
+  FROM task_comments c LEFT JOIN users u ON u.id = c.user_id
+`;
+
+function emitComment(task, event, comment) {
+  io.to(taskRoom(task)).emit(event, comment);
+}
+
+// Nested: top-level comments with their replies (recursively) in `replies`
+app.get("/tasks/:id/comments", authRequired, async (req, res) => {
   try {
-    const { type, title, content, tags, attachments } = req.body;
-    if (!type || !title || !['learning', 'working'].includes(type)) {
-      return res.status(400).json({ error: "Valid type and title are required" });
+    await requireTask(req.params.id, req.user.id);
+    const result = await pool.query(`${COMMENT_SELECT} WHERE c.task_id = $1 ORDER BY c.created_at, c.id`, [req.params.id]);
+
+    const byId = new Map(result.rows.map(row => [row.id, { ...row, replies: [] }]));
+    const roots = [];
+    byId.forEach(comment => {
+      const parent = comment.parent_id && byId.get(comment.parent_id);
+      (parent ? parent.replies : roots).push(comment);
+    });
+    res.json(roots);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /tasks/:id/comments error:", err);
+    res.status(500).json({ error: "Failed to fetch comments" });
+  }
+});
+
+app.post("/tasks/:id/comments", authRequired, async (req, res) => {
+  try {
+    const { body, parent_id } = req.body;
+    if (!body || !String(body).trim()) return res.status(400).json({ error: "Comment body is required" });
+
+    // Viewers can take part in the discussion too
+    const { task } = await requireTask(req.params.id, req.user.id);
+
+    const parentId = parent_id === undefined || parent_id === null ? null : Number(parent_id);
+    if (parentId !== null) {
+      if (!Number.isInteger(parentId) || parentId < 1 || parentId > 2147483647) {
+        return res.status(400).json({ error: "parent_id must be a comment id" });
+      }
+      // Deleted comments kept as placeholders for their replies take no new ones
+      const parent = await pool.query(
+        "SELECT id FROM task_comments WHERE id = $1 AND task_id = $2 AND deleted_at IS NULL",
+        [parentId, req.params.id]
+      );
+      if (!parent.rowCount) return res.status(400).json({ error: "Parent comment not found on this task" });
     }
 
-    const result = await pool.query(
-      "INSERT INTO notes (user_id, type, title, content, tags, attachments) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-      [req.user.id, type, title, content || '', tags || [], JSON.stringify(attachments || [])]
+    const inserted = await pool.query(
+      "INSERT INTO task_comments (task_id, user_id, parent_id, body) VALUES ($1, $2, $3, $4) RETURNING id",
+      [req.params.id, req.user.id, parentId, String(body).trim()]
     );
+    const comment = (await pool.query(`${COMMENT_SELECT} WHERE c.id = $1`, [inserted.rows[0].id])).rows[0];
 
-    // Parse attachments in response
-    const note = result.rows[0];
-    note.attachments = note.attachments ? (typeof note.attachments === 'string' ? JSON.parse(note.attachments) : note.attachments) : [];
-    res.json(note);
+    await notifyMentions(comment, task, req.user);
+    emitComment(task, "comment_created", comment);
+    await broadcastTask(req.params.id);
+    res.status(201).json(comment);
   } catch (err) {
-    console.error("POST /notes error:", err);
-    res.status(500).json({ error: "Failed to create note" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /tasks/:id/comments error:", err);
+    res.status(500).json({ error: "Failed to create comment" });
   }
 });
 
-app.put("/notes/:id", authRequired, async (req, res) => {
+// Only the author may edit or delete a comment, and only while they can still see the task
+app.put("/tasks/:id/comments/:commentId", authRequired, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { title, content, tags, attachments } = req.body;
-
-    const result = await pool.query(
-      "UPDATE notes SET title=$1, content=$2, tags=$3, attachments=$4, updated_at=NOW() WHERE id=$5 AND user_id=$6 RETURNING *",
-      [title, content, tags, JSON.stringify(attachments || []), id, req.user.id]
+    const { body } = req.body;
+    if (!body || !String(body).trim()) return res.status(400).json({ error: "Comment body is required" });
+
+    const existing = await pool.query(
+      `SELECT c.body, t.id, t.title, t.user_id, t.project_id
+       FROM task_comments c JOIN tasks t ON t.id = c.task_id
+       WHERE c.id = $1 AND c.task_id = $2 AND c.user_id = $3 AND c.deleted_at IS NULL
+         AND ${taskAccessSql('t', '$3')}`,
+      [req.params.commentId, req.params.id, req.user.id]
     );
+    if (!existing.rowCount) return res.status(404).json({ error: "Comment not found" });
+    const { body: previousBody, ...task } = existing.rows[0];
 
-    if (!result.rowCount) return res.status(404).json({ error: "Note not found" });
+    await pool.query("UPDATE task_comments SET body = $1, edited_at = NOW() WHERE id = $2", [String(body).trim(), req.params.commentId]);
+    const comment = (await pool.query(`${COMMENT_SELECT} WHERE c.id = $1`, [req.params.commentId])).rows[0];
 
-    // Parse attachments in response
-    const note = result.rows[0];
-    note.attachments = note.attachments ? (typeof note.attachments === 'string' ? JSON.parse(note.attachments) : note.attachments) : [];
-    res.json(note);
+    await notifyMentions(comment, task, req.user, previousBody);
+    emitComment(task, "comment_updated", comment);
+    res.json(comment);
   } catch (err) {
-    console.error("PUT /notes/:id error:", err);
-    res.status(500).json({ error: "Failed to update note" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("PUT /tasks/:id/comments/:commentId error:", err);
+    res.status(500).json({ error: "Failed to update comment" });
   }
 });
 
-app.delete("/notes/:id", authRequired, async (req, res) => {
+app.delete("/tasks/:id/comments/:commentId", authRequired, async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query("DELETE FROM notes WHERE id=$1 AND user_id=$2", [id, req.user.id]);
-    if (!result.rowCount) return res.status(404).json({ error: "Note not found" });
+    const existing = await pool.query(
+      `SELECT t.user_id, t.project_id,
+              EXISTS (SELECT 1 FROM task_comments r WHERE r.parent_id = c.id) AS has_replies
+       FROM task_comments c JOIN tasks t ON t.id = c.task_id
+       WHERE c.id = $1 AND c.task_id = $2 AND c.user_id = $3 AND c.deleted_at IS NULL
+         AND ${taskAccessSql('t', '$3')}`,
+      [req.params.commentId, req.params.id, req.user.id]
+    );
+    if (!existing.rowCount) return res.status(404).json({ error: "Comment not found" });
+    const { has_replies: hasReplies, ...task } = existing.rows[0];
+
+    if (hasReplies) {
+      await pool.query("UPDATE task_comments SET body = NULL, deleted_at = NOW() WHERE id = $1", [req.params.commentId]);
+    } else {
+      await pool.query("DELETE FROM task_comments WHERE id = $1", [req.params.commentId]);
+    }
+
+    emitComment(task, "comment_deleted", { id: Number(req.params.commentId), task_id: Number(req.params.id), kept_for_replies: hasReplies });
+    await broadcastTask(req.params.id);
     res.json({ success: true });
   } catch (err) {
-    console.error("DELETE /notes/:id error:", err);
-    res.status(500).json({ error: "Failed to delete note" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("DELETE /tasks/:id/comments/:commentId error:", err);
+    res.status(500).json({ error: "Failed to delete comment" });
   }
 });
 
-// PR Management API
-app.get("/prs", authRequired, async (req, res) => {
+// Notifications API
+app.get("/notifications", authRequired, async (req, res) => {
   try {
+    const unreadOnly = String(req.query.unread).toLowerCase() === 'true';
     const result = await pool.query(
-      "SELECT * FROM prs WHERE user_id = $1 ORDER BY created_at DESC",
+      `SELECT * FROM notifications WHERE user_id = $1 ${unreadOnly ? "AND read_at IS NULL" : ""}
+       ORDER BY created_at DESC, id DESC LIMIT 100`,
       [req.user.id]
     );
     res.json(result.rows);
   } catch (err) {
-    console.error("GET /prs error:", err);
-    res.status(500).json({ error: "Failed to fetch PRs" });
+    console.error("GET /notifications error:", err);
+    res.status(500).json({ error: "Failed to fetch notifications" });
   }
 });
 
-app.post("/prs", authRequired, async (req, res) => {
+app.post("/notifications/read-all", authRequired, async (req, res) => {
   try {
-    const { title, frontend_status, backend_status, frontend_link, backend_link } = req.body;
-    if (!title) return res.status(400).json({ error: "Title is required" });
-
-    const result = await pool.query(
-      "INSERT INTO prs (user_id, title, frontend_status, backend_status, frontend_link, backend_link) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-      [
-        req.user.id,
-        title,
-        frontend_status || 'none',
-        backend_status || 'none',
-        frontend_link || null,
-        backend_link || null
-      ]
-    );
-    res.json(result.rows[0]);
+    const result = await pool.query("UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL", [req.user.id]);
+    res.json({ success: true, count: result.rowCount });
   } catch (err) {
-    console.error("POST /prs error:", err);
-    res.status(500).json({ error: "Failed to create PR" });
+    console.error("POST /notifications/read-all error:", err);
+    res.status(500).json({ error: "Failed to mark notifications read" });
   }
 });
 
-app.put("/prs/:id", authRequired, async (req, res) => {
+app.post("/notifications/:id/read", authRequired, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { title, frontend_status, backend_status, frontend_link, backend_link } = req.body;
-
     const result = await pool.query(
-      "UPDATE prs SET title=$1, frontend_status=$2, backend_status=$3, frontend_link=$4, backend_link=$5, updated_at=NOW() WHERE id=$6 AND user_id=$7 RETURNING *",
-      [title, frontend_status, backend_status, frontend_link || null, backend_link || null, id, req.user.id]
+      "UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = $1 AND user_id = $2 RETURNING *",
+      [req.params.id, req.user.id]
     );
-
-    if (!result.rowCount) return res.status(404).json({ error: "PR not found" });
+    if (!result.rowCount) return res.status(404).json({ error: "Notification not found" });
     res.json(result.rows[0]);
   } catch (err) {
-    console.error("PUT /prs/:id error:", err);
-    res.status(500).json({ error: "Failed to update PR" });
+    console.error("POST /notifications/:id/read error:", err);
+    res.status(500).json({ error: "Failed to mark notification read" });
   }
 });
 
-app.delete("/prs/:id", authRequired, async (req, res) => {
+// Labels API
+// Labels belong to the user who made them. They can be put on any task the
+// user may edit, and everyone who can see the task sees its labels.
+const LABEL_COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+
+// Resolves a comma-separated list of label ids or names (case-insensitive)
+// among the user's labels. `complete` is false when some entry matched nothing.
+async function resolveLabelIds(userId, value) {
+  const refs = String(value).split(',').map(ref => ref.trim()).filter(Boolean);
+  const result = await pool.query(
+    "SELECT id, LOWER(name) AS name FROM labels WHERE user_id = $1 AND (id::text = ANY($2::text[]) OR LOWER(name) = ANY($3::text[]))",
+    [userId, refs, refs.map(ref => ref.toLowerCase())]
+  );
+  const complete = refs.every(ref => result.rows.some(l => String(l.id) === ref || l.name === ref.toLowerCase()));
+  return { ids: result.rows.map(l => l.id), complete };
+}
+
+function validateLabel({ name, color }, { partial = false } = {}) {
+  if ((!partial || name !== undefined) && (!name || !String(name).trim())) return "Label name is required";
+  if (name !== undefined && String(name).trim().length > 50) return "Label name must be at most 50 characters";
+  if (color !== undefined && color !== null && !LABEL_COLOR_RE.test(color)) return "color must be a hex colour like #3b82f6";
+  return null;
+}
+
+// Usage counts cover the tasks the user can still see
+app.get("/labels", authRequired, async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query("DELETE FROM prs WHERE id=$1 AND user_id=$2", [id, req.user.id]);
-    if (!result.rowCount) return res.status(404).json({ error: "PR not found" });
-    res.json({ success: true });
+    const result = await pool.query(
+      `SELECT l.*,
+              COUNT(t.id)::int AS task_count,
+              COUNT(t.id) FILTER (WHERE t.status <> ${doneStatusSql('t.user_id')})::int AS open_count
+       FROM labels l
+       LEFT JOIN task_labels tl ON tl.label_id = l.id
+       LEFT JOIN tasks t ON t.id = tl.task_id AND ${taskAccessSql('t', '$1')}
+       WHERE l.user_id = $1
+       GROUP BY l.id
+       ORDER BY LOWER(l.name)`,
+      [req.user.id]
+    );
+    res.json(result.rows);
   } catch (err) {
-    console.error("DELETE /prs/:id error:", err);
-    res.status(500).json({ error: "Failed to delete PR" });
+    console.error("GET /labels error:", err);
+    res.status(500).json({ error: "Failed to fetch labels" });
   }
 });
 
-// PR Download endpoint
-app.get("/prs/download", authRequired, async (req, res) => {
+app.post("/labels", authRequired, async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM prs WHERE user_id = $1", [req.user.id]);
-    if (result.rows.length < 10) {
-      return res.status(400).json({ error: "Minimum 10 PRs required for download" });
-    }
+    const error = validateLabel(req.body);
+    if (error) return res.status(400).json({ error });
 
-    // Create CSV content
-    let csvContent = "Title,Frontend PR,Backend PR\n";
-    result.rows.forEach(pr => {
-      const frontendStatus = pr.frontend_status !== 'none' ? pr.frontend_status : '';
-      const backendStatus = pr.backend_status !== 'none' ? pr.backend_status : '';
-      csvContent += `"${pr.title}","${frontendStatus}","${backendStatus}"\n`;
-    });
+    const result = await pool.query(
+      `INSERT INTO labels (user_id, name, color) VALUES ($1, $2, COALESCE($3, '#3b82f6'))
+       ON CONFLICT (user_id, LOWER(name)) DO NOTHING
+       RETURNING *, 0 AS task_count, 0 AS open_count`,
+      [req.user.id, String(req.body.name).trim(), req.body.color || null]
+    );
+    if (!result.rowCount) return res.status(409).json({ error: "A label with this name already exists" });
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="prs-${Date.now()}.csv"`);
-    res.send(csvContent);
+    io.to(`user-${req.user.id}`).emit("label_created", result.rows[0]);
+    res.status(201).json(result.rows[0]);
   } catch (err) {
-    console.error("GET /prs/download error:", err);
-    res.status(500).json({ error: "Failed to download PRs" });
+    console.error("POST /labels error:", err);
+    res.status(500).json({ error: "Failed to create label" });
   }
 });
 
-
-// Profile Management
-app.get("/profile", authRequired, async (req, res) => {
+app.put("/labels/:id", authRequired, async (req, res) => {
   try {
+    const { name, color } = req.body;
+    if (name === undefined && color === undefined) return res.status(400).json({ error: "Nothing to update" });
+    const error = validateLabel(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+
     const result = await pool.query(
-      "SELECT id, username, phone, email, full_name, profile_photo, is_verified FROM users WHERE id = $1",
-      [req.user.id]
+      `UPDATE labels SET name = COALESCE($3, name), color = COALESCE($4, color), updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 RETURNING *`,
+      [req.params.id, req.user.id, name !== undefined ? String(name).trim() : null, color || null]
     );
+    if (!result.rowCount) return res.status(404).json({ error: "Label not found" });
+
+    io.to(`user-${req.user.id}`).emit("label_updated", result.rows[0]);
     res.json(result.rows[0]);
   } catch (err) {
-    console.error("GET /profile error:", err);
-    res.status(500).json({ error: "Failed to fetch profile" });
+    if (err.code === '23505') return res.status(409).json({ error: "A label with this name already exists" });
+    console.error("PUT /labels/:id error:", err);
+    res.status(500).json({ error: "Failed to update label" });
   }
 });
 
-app.put("/profile", authRequired, async (req, res) => {
+// Deleting a label takes it off every task
+app.delete("/labels/:id", authRequired, async (req, res) => {
   try {
-    const { full_name, email, profile_photo } = req.body;
-    const result = await pool.query(
-      "UPDATE users SET full_name = $1, email = $2, profile_photo = $3 WHERE id = $4 RETURNING id, username, phone, email, full_name, profile_photo, is_verified",
-      [full_name, email, profile_photo, req.user.id]
-    );
-    res.json(result.rows[0]);
+    const result = await pool.query("DELETE FROM labels WHERE id = $1 AND user_id = $2", [req.params.id, req.user.id]);
+    if (!result.rowCount) return res.status(404).json({ error: "Label not found" });
+    io.to(`user-${req.user.id}`).emit("label_deleted", { id: Number(req.params.id) });
+    res.json({ success: true });
   } catch (err) {
-    console.error("PUT /profile error:", err);
-    res.status(500).json({ error: "Failed to update profile" });
+    console.error("DELETE /labels/:id error:", err);
+    res.status(500).json({ error: "Failed to delete label" });
   }
 });
 
-// Reset Password
-app.post("/auth/reset-password", async (req, res) => {
+// Replaces the caller's labels on a task with { label_ids: [...] }.
+// Labels other members put on a shared task are left alone.
+app.put("/tasks/:id/labels", authRequired, async (req, res) => {
+  const labelIds = Array.isArray(req.body.label_ids) ? [...new Set(req.body.label_ids.map(Number))] : null;
+  if (!labelIds || labelIds.some(id => !Number.isInteger(id))) {
+    return res.status(400).json({ error: "label_ids must be an array of label ids" });
+  }
+  const client = await pool.connect();
   try {
-    const { username, newPassword } = req.body;
-    if (!username || !newPassword) {
-      return res.status(400).json({ error: "Username and new password are required" });
-    }
+    await client.query("BEGIN");
+    await requireTask(req.params.id, req.user.id, { write: true, db: client });
 
-    if (String(newPassword).length < 6) {
-      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    const owned = await client.query("SELECT id FROM labels WHERE id = ANY($1::int[]) AND user_id = $2", [labelIds, req.user.id]);
+    if (owned.rowCount !== labelIds.length) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Label not found" });
     }
 
-    // Find user by username
-    const userResult = await pool.query("SELECT * FROM users WHERE username = $1", [username]);
-    if (!userResult.rows.length) {
-      return res.status(404).json({ error: "User not found" });
-    }
+    await client.query(
+      `DELETE FROM task_labels tl USING labels l
+       WHERE tl.label_id = l.id AND tl.task_id = $1 AND l.user_id = $2 AND NOT (tl.label_id = ANY($3::int[]))`,
+      [req.params.id, req.user.id, labelIds]
+    );
+    await client.query(
+      `INSERT INTO task_labels (task_id, label_id)
+       SELECT $1, unnest($2::int[]) ON CONFLICT DO NOTHING`,
+      [req.params.id, labelIds]
+    );
+    await client.query("COMMIT");
 
-    // Update password
-    const hash = await bcrypt.hash(newPassword, 10);
-    await pool.query("UPDATE users SET password_hash = $1 WHERE username = $2", [hash, username]);
+    const task = await broadcastTask(req.params.id);
+    res.json(task.labels);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("PUT /tasks/:id/labels error:", err);
+    res.status(500).json({ error: "Failed to update task labels" });
+  } finally {
+    client.release();
+  }
+});
 
-    res.json({ success: true, message: "Password updated successfully" });
+app.post("/tasks/:id/labels/:labelId", authRequired, async (req, res) => {
+  try {
+    await requireTask(req.params.id, req.user.id, { write: true });
+    const label = await pool.query("SELECT id FROM labels WHERE id = $1 AND user_id = $2", [req.params.labelId, req.user.id]);
+    if (!label.rowCount) return res.status(404).json({ error: "Label not found" });
+
+    await pool.query(
+      "INSERT INTO task_labels (task_id, label_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+      [req.params.id, req.params.labelId]
+    );
+    const task = await broadcastTask(req.params.id);
+    res.status(201).json(task.labels);
   } catch (err) {
-    console.error("POST /auth/reset-password error:", err);
-    res.status(500).json({ error: "Failed to update password" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /tasks/:id/labels/:labelId error:", err);
+    res.status(500).json({ error: "Failed to add label" });
   }
 });
 
-// Test endpoint to check database connection
-app.get("/test-db", async (req, res) => {
+app.delete("/tasks/:id/labels/:labelId", authRequired, async (req, res) => {
   try {
-    const result = await pool.query("SELECT NOW()");
-    res.json({
+    await requireTask(req.params.id, req.user.id, { write: true });
+    const result = await pool.query(
+      `DELETE FROM task_labels tl USING labels l
+       WHERE tl.label_id = l.id AND tl.task_id = $1 AND tl.label_id = $2 AND l.user_id = $3`,
+      [req.params.id, req.params.labelId, req.user.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Label not found on this task" });
+
+    const task = await broadcastTask(req.params.id);
+    res.json(task.labels);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("DELETE /tasks/:id/labels/:labelId error:", err);
+    res.status(500).json({ error: "Failed to remove label" });
+  }
+});
+
+// Bulk task actions
+// Each bulk action logs its changes under one batch_id so POST /tasks/undo can reverse it
+app.post("/tasks/clear-completed", authRequired, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const workflow = await getWorkflow(req.user.id, client);
+    const done = await client.query("SELECT id FROM tasks WHERE status=$2 AND user_id=$1 AND deleted_at IS NULL", [req.user.id, workflow.done_status]);
+    const trashed = await trashTasks(client, done.rows.map(task => task.id), req.user.id);
+    const batchId = crypto.randomUUID();
+    await logTaskChanges(client, req.user.id, trashed.map(task => ({ before: task, after: null })),
+      { source: 'clear-completed', batchId });
+    await client.query("COMMIT");
+    trashed.forEach(task => io.to(taskRoom(task)).emit("task_deleted", { id: task.id }));
+    res.json({ success: true, count: trashed.length, batch_id: trashed.length ? batchId : null });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("POST /tasks/clear-completed error:", err);
+    res.status(500).json({ error: "Failed to clear completed" });
+  } finally {
+    client.release();
+  }
+});
+
+// Moves every open task to the done status through the same checks as
+// PUT /tasks/:id; tasks that may not move yet are reported in `skipped`.
+// A blocked task is retried once its blockers are done in the same call.
+app.post("/tasks/mark-all-done", authRequired, async (req, res) => {
+  const force = req.body?.force === true;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const workflow = await getWorkflow(req.user.id, client);
+    const done = workflow.done_status;
+    const previous = await client.query(
+      "SELECT * FROM tasks WHERE status<>$2 AND user_id=$1 AND deleted_at IS NULL ORDER BY id FOR UPDATE",
+      [req.user.id, done]
+    );
+
+    const changes = [];
+    const skipped = new Map();
+    let pending = previous.rows.filter((task) => {
+      const transitionError = checkTransition(workflow, task.status, done);
+      if (transitionError) skipped.set(task.id, { id: task.id, error: transitionError });
+      return !transitionError;
+    });
+    let progressed = true;
+    while (pending.length && progressed) {
+      progressed = false;
+      const blocked = [];
+      for (const task of pending) {
+        if (movesForward(workflow, task.status, done) && !force) {
+          const blockers = await getOpenBlockers(task.id, client);
+          if (blockers.length) {
+            skipped.set(task.id, { id: task.id, error: "Task is blocked by unfinished tasks", blocked_by: blockers });
+            blocked.push(task);
+            continue;
+          }
+        }
+        skipped.delete(task.id);
+        const updated = await applyTaskFields(client, task.id, { status: done, rank: await nextRankInColumn(req.user.id, done, client) });
+        changes.push({ before: task, after: updated });
+        progressed = true;
+      }
+      pending = blocked;
+    }
+
+    const batchId = crypto.randomUUID();
+    await logTaskChanges(client, req.user.id, changes, { source: 'mark-all-done', batchId });
+    await client.query("COMMIT");
+    changes.forEach(({ after: task }) => io.to(taskRoom(task)).emit("task_updated", task));
+    // Recurring tasks spawn their next occurrence and dependents get unblocked
+    for (const { after: task } of changes) await afterTaskCompleted(task, req.user.id);
+    res.json({ success: true, count: changes.length, batch_id: changes.length ? batchId : null, skipped: [...skipped.values()] });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("POST /tasks/mark-all-done error:", err);
+    res.status(500).json({ error: "Failed to mark all done" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /tasks/bulk { ids | filter, action, set, force }
+// Targets are either a list of ids or a filter in the form of GET /tasks
+// query params. action is "update" (set: status, priority, project_id or
+// project_name, due_date), "delete" or "duplicate". Everything runs in one
+// transaction; tasks that fail their own checks are reported and skipped.
+// Changes share a batch_id, so POST /tasks/undo reverses the whole call, and
+// each room gets a single tasks_bulk event.
+const BULK_ACTIONS = ['update', 'delete', 'duplicate'];
+const BULK_SET_FIELDS = ['status', 'priority', 'project_id', 'project_name', 'due_date'];
+const BULK_MAX_TASKS = 500;
+const DUPLICATED_TASK_FIELDS = ['title', 'status', 'description', 'priority', 'due_date', 'due_time', 'category', 'type',
+  'project_id', 'important', 'assigned_to', 'recurrence', 'auto_complete_subtasks'];
+
+// One tasks_bulk event per room; a task that moved to another project's room
+// is a deletion for the room it left
+function emitTasksBulk(batchId, action, changes) {
+  const events = new Map();
+  const eventFor = (room) => {
+    if (!events.has(room)) events.set(room, { batch_id: batchId, action, created: [], updated: [], deleted: [] });
+    return events.get(room);
+  };
+  changes.forEach(({ before, after }) => {
+    if (!after) return eventFor(taskRoom(before)).deleted.push(before.id);
+    if (!before) return eventFor(taskRoom(after)).created.push(after);
+    eventFor(taskRoom(after)).updated.push(after);
+    if (taskRoom(before) !== taskRoom(after)) eventFor(taskRoom(before)).deleted.push(before.id);
+  });
+  events.forEach((payload, room) => io.to(room).emit("tasks_bulk", payload));
+}
+
+function validateBulkRequest({ ids, filter, action, set }) {
+  if (!BULK_ACTIONS.includes(action)) return `action must be one of: ${BULK_ACTIONS.join(", ")}`;
+  if ((ids === undefined) === (filter === undefined)) return "Pass either ids or filter";
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || !ids.length || ids.some(id => !Number.isInteger(Number(id)))) return "ids must be a non-empty array of task ids";
+    if (ids.length > BULK_MAX_TASKS) return `At most ${BULK_MAX_TASKS} tasks per request`;
+  }
+  if (filter !== undefined && (!filter || typeof filter !== 'object' || Array.isArray(filter))) return "filter must be an object";
+  if (action === 'update') {
+    const keys = Object.keys(set || {});
+    if (!keys.length) return `set needs at least one of: ${BULK_SET_FIELDS.join(", ")}`;
+    const unknown = keys.filter(key => !BULK_SET_FIELDS.includes(key));
+    if (unknown.length) return `Cannot bulk-set: ${unknown.join(", ")}`;
+    if (set.due_date !== undefined && set.due_date !== null && !DATE_RE.test(set.due_date)) return "due_date must be YYYY-MM-DD or null";
+  }
+  return null;
+}
+
+app.post("/tasks/bulk", authRequired, async (req, res) => {
+  const { ids, filter, action, set = {}, force } = req.body;
+  const error = validateBulkRequest({ ids, filter, action, set });
+  if (error) return res.status(400).json({ error });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Inside the transaction so a project created by name is rolled back with the rest
+    const projectId = action === 'update' ? await resolveTaskProject(req.user.id, set.project_id, set.project_name, client) : undefined;
+    const { where, values } = await buildTaskFilters(req.user.id, filter || {});
+    if (ids) {
+      values.push(ids.map(Number));
+      where.push(`tasks.id = ANY($${values.length}::int[])`);
+    }
+    const targets = await client.query(
+      `SELECT tasks.*,
+              CASE WHEN tasks.project_id IS NULL THEN 'owner'
+                   ELSE (SELECT pm.role FROM project_members pm WHERE pm.project_id = tasks.project_id AND pm.user_id = $1)
+              END AS access_role
+       FROM tasks WHERE ${where.join(" AND ")}
+       ORDER BY tasks.id
+       LIMIT ${BULK_MAX_TASKS + 1}
+       FOR UPDATE OF tasks`,
+      values
+    );
+    if (targets.rowCount > BULK_MAX_TASKS) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: `The filter matches more than ${BULK_MAX_TASKS} tasks` });
+    }
+
+    const byId = new Map(targets.rows.map(({ access_role: role, ...task }) => [task.id, { task, role }]));
+    const order = ids ? [...new Set(ids.map(Number))] : [...byId.keys()];
+    const workflows = new Map();
+    const workflowFor = async (userId) => {
+      if (!workflows.has(userId)) workflows.set(userId, await getWorkflow(userId, client));
+      return workflows.get(userId);
+    };
+
+    const results = [];
+    const changes = [];
+    const completed = [];
+    const trashedIds = [];
+
+    for (const id of order) {
+      const target = byId.get(id);
+      if (!target) {
+        results.push({ id, ok: false, error: "Task not found" });
+        continue;
+      }
+      const { task, role } = target;
+      if (!WRITE_ROLES.includes(role)) {
+        results.push({ id, ok: false, error: "You only have read access to this task" });
+        continue;
+      }
+
+      if (action === 'delete') {
+        const [trashed] = await trashTasks(client, [id], req.user.id);
+        trashedIds.push(id);
+        changes.push({ before: trashed, after: null });
+        results.push({ id, ok: true });
+        continue;
+      }
+
+      if (action === 'duplicate') {
+        const workflow = await workflowFor(req.user.id);
+        const copy = { ...task, status: workflow.statuses.includes(task.status) ? task.status : workflow.statuses[0] };
+        const params = DUPLICATED_TASK_FIELDS.map(field => (field === 'recurrence' && copy[field] ? JSON.stringify(copy[field]) : copy[field]));
+        const created = await client.query(
+          `INSERT INTO tasks (${DUPLICATED_TASK_FIELDS.join(", ")}, user_id, rank)
+           VALUES (${DUPLICATED_TASK_FIELDS.map((_, i) => `$${i + 1}`).join(", ")}, $${DUPLICATED_TASK_FIELDS.length + 1}, $${DUPLICATED_TASK_FIELDS.length + 2})
+           RETURNING *`,
+          [...params, req.user.id, await nextRankInColumn(req.user.id, copy.status, client)]
+        );
+        const duplicate = created.rows[0];
+        await client.query(
+          `INSERT INTO task_subtasks (task_id, user_id, title, done, completed_at, position)
+           SELECT $1, $2, title, done, completed_at, position FROM task_subtasks WHERE task_id = $3`,
+          [duplicate.id, req.user.id, id]
+        );
+        await client.query("INSERT INTO task_labels (task_id, label_id) SELECT $1, label_id FROM task_labels WHERE task_id = $2", [duplicate.id, id]);
+        changes.push({ before: null, after: duplicate });
+        results.push({ id, ok: true, task: duplicate });
+        continue;
+      }
+
+      // update: the same checks as PUT /tasks/:id
+      const fields = {};
+      const workflow = await workflowFor(task.user_id);
+      const status = set.status === undefined ? undefined : resolveStatusAlias(workflow, set.status);
+      if (status !== undefined && status !== task.status) {
+        const transitionError = checkTransition(workflow, task.status, status);
+        if (transitionError) {
+          results.push({ id, ok: false, error: transitionError });
+          continue;
+        }
+        if (movesForward(workflow, task.status, status) && !force) {
+          const blockers = await getOpenBlockers(id, client);
+          if (blockers.length) {
+            results.push({ id, ok: false, error: "Task is blocked by unfinished tasks", blocked_by: blockers });
+            continue;
+          }
+        }
+        fields.status = status;
+        fields.rank = await nextRankInColumn(task.user_id, status, client);
+      }
+      if (set.priority !== undefined) fields.priority = set.priority;
+      if (set.due_date !== undefined) fields.due_date = set.due_date;
+      if (projectId !== undefined && projectId !== task.project_id) {
+        fields.project_id = projectId;
+        if (task.assigned_to) {
+          fields.assigned_to = await resolveAssignee(task.assigned_to, projectId, task.user_id).catch(() => null);
+        }
+      }
+
+      const updated = await applyTaskFields(client, id, fields);
+      changes.push({ before: task, after: updated });
+      results.push({ id, ok: true, task: updated });
+      if (updated.status === workflow.done_status && task.status !== workflow.done_status) completed.push(updated);
+    }
+
+    const batchId = crypto.randomUUID();
+    const logged = await logTaskChanges(client, req.user.id, changes, { source: `bulk-${action}`, batchId });
+    await client.query("COMMIT");
+
+    emitTasksBulk(batchId, action, changes);
+
+    for (const task of completed) await afterTaskCompleted(task, req.user.id);
+    for (const id of trashedIds) await notifyUnblocked(id);
+
+    res.json({
+      action,
+      batch_id: logged.length ? batchId : null,
+      succeeded: results.filter(r => r.ok).length,
+      failed: results.filter(r => !r.ok).length,
+      results
+    });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /tasks/bulk error:", err);
+    res.status(500).json({ error: "Failed to run bulk operation" });
+  } finally {
+    client.release();
+  }
+});
+
+// Task import
+// POST /import/tasks takes a file (multipart "file" field or a text/* body)
+// or JSON { content }. format is csv, todoist, trello or auto (the default):
+//   csv      a header row plus one task per row; mapping={"title":"Task name", ...}
+//            picks the columns, otherwise common header names are recognised
+//   todoist  the Todoist CSV template export, or Todoist JSON (a REST task list
+//            or a sync backup with projects and sections)
+//   trello   a Trello board JSON export; lists become statuses and checklists subtasks
+// Options come from the query string, the JSON body or multipart fields:
+// dry_run, project_id or project_name (for every row), status_map
+// ({"Doing":"in_progress"}), skip_invalid and allow_duplicates. A dry run
+// returns the per-row preview only. Otherwise the rows are created in one
+// transaction as one batch, so POST /tasks/undo takes the whole import back.
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 2000;
+const IMPORT_FORMATS = ['auto', 'csv', 'todoist', 'trello'];
+const IMPORT_COLUMN_ALIASES = {
+  title: ['title', 'name', 'task', 'task name', 'summary', 'content', 'subject'],
+  description: ['description', 'notes', 'note', 'details', 'desc'],
+  priority: ['priority'],
+  due_date: ['due_date', 'due date', 'due', 'deadline', 'date'],
+  due_time: ['due_time', 'due time', 'time'],
+  status: ['status', 'state', 'column', 'list', 'stage'],
+  project: ['project', 'project name', 'board'],
+  category: ['category'],
+  type: ['type']
+};
+const IMPORT_PRIORITIES = {
+  high: 'high', urgent: 'high', p1: 'high', p2: 'high',
+  medium: 'medium', normal: 'medium', p3: 'medium', p4: 'medium',
+  low: 'low'
+};
+// Todoist's CSV numbers priorities like the app (1 = p1); its API counts the other way (4 = p1)
+const TODOIST_CSV_PRIORITIES = { 1: 'p1', 2: 'p2', 3: 'p3', 4: 'p4' };
+const TODOIST_API_PRIORITIES = { 4: 'p1', 3: 'p2', 2: 'p3', 1: 'p4' };
+const IMPORT_TODO_NAMES = ['todo', 'to do', 'backlog', 'open', 'new', 'not started'];
+const IMPORT_DONE_NAMES = ['done', 'complete', 'completed', 'closed', 'finished'];
+
+// RFC 4180 CSV: quoted fields may hold delimiters, doubled quotes and line
+// breaks. The delimiter (comma, semicolon or tab) is guessed from the header.
+function parseCsv(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t'].reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best), ',');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') field += text[++i];
+      else quoted = false;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) rows.push([...row, field]);
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// "2026-10-20", "2026-10-20 14:30" or an ISO timestamp -> { date, time };
+// timestamps with a zone are converted to the server's local time
+function parseImportDate(value) {
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, sec = '00', zone] = match;
+  const day = new Date(Date.UTC(y, mo - 1, d));
+  if (day.getUTCMonth() !== mo - 1 || day.getUTCDate() !== Number(d)) return null;
+  if (!h) return { date: `${y}-${mo}-${d}`, time: null };
+  if (!zone) return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}:${sec}` };
+  return localDateParts(new Date(String(value).trim().replace(' ', 'T')));
+}
+
+// Source rows are { row, title, description, priority, due, status, completed,
+// project, category, type, subtasks: [{ title, done }], skip, natural_due }
+function csvImportRows(table, mapping) {
+  const [header, ...lines] = table;
+  const names = header.map(name => name.trim().toLowerCase());
+  const unknown = Object.keys(mapping || {}).filter(field => !IMPORT_COLUMN_ALIASES[field]);
+  if (unknown.length) throw httpError(400, `mapping can only name these fields: ${Object.keys(IMPORT_COLUMN_ALIASES).join(", ")}`);
+
+  const columns = {};
+  for (const field of Object.keys(IMPORT_COLUMN_ALIASES)) {
+    const mapped = mapping && mapping[field] !== undefined && mapping[field] !== null;
+    const wanted = mapped ? [String(mapping[field]).trim().toLowerCase()] : IMPORT_COLUMN_ALIASES[field];
+    const index = names.findIndex(name => wanted.includes(name));
+    if (mapped && index === -1) throw httpError(400, `Column "${mapping[field]}" mapped to ${field} is not in the CSV header`);
+    if (index !== -1) columns[field] = index;
+  }
+  if (columns.title === undefined) throw httpError(400, 'No title column found; pass mapping={"title":"<column name>"}');
+
+  return lines.map((cells, i) => {
+    const get = (field) => (columns[field] === undefined ? '' : String(cells[columns[field]] ?? '').trim());
+    const time = get('due_time');
+    return {
+      row: i + 2,
+      title: get('title'),
+      description: get('description'),
+      priority: get('priority'),
+      due: time && get('due_date') ? `${get('due_date')} ${time}` : get('due_date'),
+      status: get('status'),
+      project: get('project'),
+      category: get('category'),
+      type: get('type'),
+      subtasks: []
+    };
+  });
+}
+
+// Todoist CSV: section rows set the status for the tasks below them, and
+// tasks indented under another task become its subtasks
+function todoistCsvRows(table) {
+  const [header, ...lines] = table;
+  const column = (name) => header.findIndex(cell => cell.trim().toUpperCase() === name);
+  const [type, content, description, priority, indent, date] = ['TYPE', 'CONTENT', 'DESCRIPTION', 'PRIORITY', 'INDENT', 'DATE'].map(column);
+  const rows = [];
+  let section = '';
+  let parent = null;
+  lines.forEach((cells, i) => {
+    const get = (index) => (index === -1 ? '' : String(cells[index] ?? '').trim());
+    const kind = get(type).toLowerCase();
+    if (kind === 'section') {
+      section = get(content);
+      parent = null;
+    } else if (kind === 'task') {
+      if (Number(get(indent)) > 1 && parent) return parent.subtasks.push({ title: get(content), done: false });
+      parent = {
+        row: i + 2,
+        title: get(content),
+        description: get(description),
+        priority: TODOIST_CSV_PRIORITIES[get(priority)] || '',
+        due: get(date),
+        natural_due: true,
+        status: section,
+        subtasks: []
+      };
+      rows.push(parent);
+    }
+  });
+  return rows;
+}
+
+function todoistJsonRows(data) {
+  const items = Array.isArray(data) ? data : data.items || data.tasks || [];
+  const names = (list) => new Map((list || []).map(entry => [String(entry.id), entry.name]));
+  const projects = names(data.projects);
+  const sections = names(data.sections);
+  const byId = new Map(items.map((item, i) => [String(item.id), {
+    row: i + 1,
+    title: String(item.content || '').trim(),
+    description: item.description || '',
+    priority: TODOIST_API_PRIORITIES[item.priority] || '',
+    due: item.due ? item.due.datetime || item.due.date || '' : '',
+    status: sections.get(String(item.section_id)) || '',
+    completed: Boolean(item.checked || item.is_completed || item.completed_at),
+    project: projects.get(String(item.project_id)) || '',
+    subtasks: []
+  }]));
+
+  // Sub-tasks at any depth become subtasks of their top-level task
+  const rows = [];
+  items.forEach(item => {
+    const entry = byId.get(String(item.id));
+    let root = item;
+    const seen = new Set();
+    while (root.parent_id && byId.has(String(root.parent_id)) && !seen.has(root.id)) {
+      seen.add(root.id);
+      root = items.find(candidate => String(candidate.id) === String(root.parent_id));
+    }
+    if (root === item) rows.push(entry);
+    else byId.get(String(root.id)).subtasks.push({ title: entry.title, done: entry.completed });
+  });
+  return rows;
+}
+
+function trelloRows(board) {
+  const lists = new Map((board.lists || []).map(list => [list.id, list]));
+  const checklists = new Map();
+  (board.checklists || []).forEach(checklist => {
+    const items = [...(checklist.checkItems || [])].sort((a, b) => (a.pos || 0) - (b.pos || 0));
+    checklists.set(checklist.idCard, [...(checklists.get(checklist.idCard) || []),
+      ...items.map(item => ({ title: String(item.name || '').trim(), done: item.state === 'complete' }))]);
+  });
+  return (board.cards || []).map((card, i) => {
+    const list = lists.get(card.idList);
+    const priority = (card.labels || []).map(label => String(label.name || '').trim().toLowerCase()).find(name => IMPORT_PRIORITIES[name]);
+    return {
+      row: i + 1,
+      title: String(card.name || '').trim(),
+      description: card.desc || '',
+      priority: priority || '',
+      due: card.due || '',
+      status: list ? list.name : '',
+      completed: Boolean(card.dueComplete),
+      project: board.name || '',
+      subtasks: (checklists.get(card.id) || []).filter(item => item.title),
+      skip: card.closed ? "Card is archived" : list && list.closed ? "List is archived" : null
+    };
+  });
+}
+
+// Picks the parser for the upload; JSON is told apart by its shape
+function importSourceRows(format, text, mapping) {
+  const trimmed = text.trim();
+  if (format === 'trello' || format === 'todoist' || (format === 'auto' && /^[[{]/.test(trimmed))) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (_e) {
+      if (format === 'auto' || format === 'trello') throw httpError(400, "The file is not valid JSON");
+    }
+    if (data !== undefined) {
+      if (format !== 'todoist' && data && Array.isArray(data.cards) && Array.isArray(data.lists)) return { format: 'trello', rows: trelloRows(data) };
+      if (format !== 'trello' && data && (Array.isArray(data) || Array.isArray(data.items) || Array.isArray(data.tasks))) {
+        return { format: 'todoist', rows: todoistJsonRows(data) };
+      }
+      throw httpError(400, format === 'auto' ? "Unrecognised JSON export" : `The file is not a ${format} JSON export`);
+    }
+  }
+  const table = parseCsv(text);
+  if (!table.length) throw httpError(400, "The file is empty");
+  const todoist = ['TYPE', 'CONTENT'].every(name => table[0].some(cell => cell.trim().toUpperCase() === name));
+  if (format === 'todoist' || (format === 'auto' && todoist)) {
+    if (!todoist) throw httpError(400, "A Todoist CSV needs TYPE and CONTENT columns");
+    return { format: 'todoist', rows: todoistCsvRows(table) };
+  }
+  return { format: 'csv', rows: csvImportRows(table, mapping) };
+}
+
+function normalizeStatusName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Maps a source status (column, list or section name) onto the workflow
+function mapImportStatus(source, completed, workflow, statusMap) {
+  if (completed) return { status: workflow.done_status };
+  if (!source) return { status: workflow.statuses[0] };
+  if (statusMap && statusMap[source] !== undefined) return { status: statusMap[source] };
+  const name = normalizeStatusName(source);
+  const match = workflow.statuses.find(status => normalizeStatusName(status) === name);
+  if (match) return { status: match };
+  if (IMPORT_DONE_NAMES.includes(name)) return { status: workflow.done_status };
+  if (IMPORT_TODO_NAMES.includes(name)) return { status: workflow.statuses[0] };
+  return { status: workflow.statuses[0], warning: `Unknown status "${source}", using "${workflow.statuses[0]}"` };
+}
+
+// Validates source rows and marks duplicates of existing tasks (same title
+// and due date) or of earlier rows in the file
+async function buildImportPreview(userId, sourceRows, { workflow, statusMap, projectName, allowDuplicates }) {
+  const rows = sourceRows.map(source => {
+    const errors = [];
+    const warnings = [];
+    const title = String(source.title || '').trim();
+    if (!title) errors.push("Title is required");
+    else if (title.length > 500) errors.push("Title is longer than 500 characters");
+
+    let priority = 'medium';
+    if (source.priority) {
+      priority = IMPORT_PRIORITIES[String(source.priority).trim().toLowerCase()];
+      if (!priority) {
+        warnings.push(`Unknown priority "${source.priority}", using "medium"`);
+        priority = 'medium';
+      }
+    }
+
+    let due = null;
+    if (source.due) {
+      due = parseImportDate(source.due);
+      if (!due && source.natural_due) warnings.push(`Due date "${source.due}" was not recognised and is left empty`);
+      else if (!due) errors.push(`Invalid due date "${source.due}" (expected YYYY-MM-DD, optionally with a time)`);
+    }
+
+    const mapped = mapImportStatus(source.status, source.completed, workflow, statusMap);
+    if (mapped.warning) warnings.push(mapped.warning);
+    if (source.skip) warnings.push(source.skip);
+
+    return {
+      row: source.row,
+      action: errors.length ? 'error' : source.skip ? 'skip' : 'create',
+      title,
+      description: source.description ? String(source.description) : null,
+      priority,
+      due_date: due ? due.date : null,
+      due_time: due ? due.time : null,
+      status: mapped.status,
+      project: projectName || source.project || null,
+      category: source.category || 'own',
+      type: source.type || 'work',
+      subtasks: source.subtasks,
+      errors,
+      warnings
+    };
+  });
+
+  const key = (row) => `${row.title.toLowerCase()}|${row.due_date || ''}`;
+  const existing = await pool.query(
+    `SELECT id, LOWER(title) AS title, to_char(due_date, 'YYYY-MM-DD') AS due_date FROM tasks
+     WHERE user_id = $1 AND deleted_at IS NULL AND LOWER(title) = ANY($2::text[])`,
+    [userId, [...new Set(rows.map(row => row.title.toLowerCase()))]]
+  );
+  const seen = new Map(existing.rows.map(task => [key(task), { task_id: task.id }]));
+  rows.forEach(row => {
+    if (row.action !== 'create') return;
+    const duplicate = seen.get(key(row));
+    if (duplicate) {
+      row.duplicate_of = duplicate;
+      if (!allowDuplicates) {
+        row.action = 'skip';
+        row.warnings.push(duplicate.task_id ? `Duplicate of task #${duplicate.task_id}` : `Duplicate of row ${duplicate.row}`);
+      }
+    } else {
+      seen.set(key(row), { row: row.row });
+    }
+  });
+  return rows;
+}
+
+function importFlag(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+function importObjectOption(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (_e) {
+      throw httpError(400, `${name} must be a JSON object`);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw httpError(400, `${name} must be a JSON object`);
+  return parsed;
+}
+
+app.post("/import/tasks", authRequired, async (req, res) => {
+  let client;
+  try {
+    const text = req.is('application/json')
+      ? (typeof req.body.content === 'string' || req.body.content === undefined ? req.body.content || '' : JSON.stringify(req.body.content))
+      : await receiveTextUpload(req, IMPORT_MAX_BYTES);
+    const option = (name) => req.query[name] ?? req.body[name];
+    const format = String(option('format') || 'auto').toLowerCase();
+    if (!IMPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(", ")}` });
+    if (!text.trim()) return res.status(400).json({ error: "Nothing to import" });
+
+    const dryRun = importFlag(option('dry_run'));
+    const mapping = importObjectOption(option('mapping'), 'mapping');
+    const statusMap = importObjectOption(option('status_map'), 'status_map');
+    const workflow = await getWorkflow(req.user.id);
+    const badTargets = Object.values(statusMap || {}).filter(status => !workflow.statuses.includes(status));
+    if (badTargets.length) {
+      return res.status(400).json({ error: `status_map targets must be one of: ${workflow.statuses.join(", ")}` });
+    }
+
+    const projectId = option('project_id') ? await resolveTaskProject(req.user.id, option('project_id')) : null;
+    const projectName = projectId ? null : (String(option('project_name') || '').trim() || null);
+    const source = importSourceRows(format, text, mapping);
+    if (!source.rows.length) return res.status(400).json({ error: "No tasks found in the file" });
+    if (source.rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `At most ${IMPORT_MAX_ROWS} tasks can be imported at once` });
+    }
+
+    const rows = await buildImportPreview(req.user.id, source.rows, {
+      workflow, statusMap, projectName, allowDuplicates: importFlag(option('allow_duplicates'))
+    });
+    const summary = {
+      rows: rows.length,
+      create: rows.filter(row => row.action === 'create').length,
+      skip: rows.filter(row => row.action === 'skip').length,
+      errors: rows.filter(row => row.action === 'error').length,
+      duplicates: rows.filter(row => row.duplicate_of).length
+    };
+    const preview = (row) => ({ ...row, subtasks: row.subtasks.length });
+
+    if (dryRun) return res.json({ dry_run: true, format: source.format, summary, rows: rows.map(preview) });
+    if (summary.errors && !importFlag(option('skip_invalid'))) {
+      return res.status(400).json({
+        error: `${summary.errors} row(s) have errors; fix them or pass skip_invalid=true`,
+        format: source.format, summary, rows: rows.map(preview)
+      });
+    }
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+    const projects = new Map();
+    const changes = [];
+    for (const row of rows.filter(entry => entry.action === 'create')) {
+      let rowProjectId = projectId;
+      if (!rowProjectId && row.project) {
+        const name = row.project.toLowerCase();
+        if (!projects.has(name)) projects.set(name, await resolveTaskProject(req.user.id, undefined, row.project, client));
+        rowProjectId = projects.get(name);
+      }
+      const created = await client.query(
+        `INSERT INTO tasks (title, status, description, priority, due_date, due_time, category, type, project_id, user_id, rank)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+        [row.title, row.status, row.description, row.priority, row.due_date, row.due_time, row.category, row.type,
+          rowProjectId, req.user.id, await nextRankInColumn(req.user.id, row.status, client)]
+      );
+      const task = created.rows[0];
+      if (row.subtasks.length) {
+        await client.query(
+          `INSERT INTO task_subtasks (task_id, user_id, title, done, position, completed_at)
+           SELECT $1, $2, s.title, s.done, s.position, CASE WHEN s.done THEN NOW() END
+           FROM jsonb_to_recordset($3::jsonb) AS s(title TEXT, done BOOLEAN, position INTEGER)`,
+          [task.id, req.user.id, JSON.stringify(row.subtasks.map((subtask, position) => ({ ...subtask, position })))]
+        );
+      }
+      row.task_id = task.id;
+      changes.push({ before: null, after: task });
+    }
+
+    const batchId = crypto.randomUUID();
+    await logTaskChanges(client, req.user.id, changes, { source: `import-${source.format}`, batchId });
+    await client.query("COMMIT");
+    emitTasksBulk(batchId, 'import', changes);
+    for (const { after: task } of changes) {
+      if (task.status === workflow.done_status) await afterTaskCompleted(task, req.user.id);
+    }
+
+    res.status(201).json({
+      dry_run: false,
+      format: source.format,
+      batch_id: changes.length ? batchId : null,
+      summary: { ...summary, created: changes.length },
+      rows: rows.map(preview)
+    });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /import/tasks error:", err);
+    res.status(500).json({ error: "Failed to import tasks" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Learning Progress API
+app.get("/learning/progress", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM learning_progress WHERE user_id=$1 ORDER BY last_practiced DESC NULLS LAST",
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("GET /learning/progress error:", err);
+    res.status(500).json({ error: "Failed to fetch learning progress" });
+  }
+});
+
+app.post("/learning/progress", authRequired, async (req, res) => {
+  try {
+    const { subject, topic, skill_level, hours_spent, progress_percentage, notes } = req.body;
+    if (!subject) return res.status(400).json({ error: "subject is required" });
+
+    const result = await pool.query(
+      `INSERT INTO learning_progress (user_id, subject, topic, skill_level, hours_spent, progress_percentage, notes, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING *`,
+      [req.user.id, subject, topic, skill_level, hours_spent, progress_percentage, notes]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("POST /learning/progress error:", err);
+    res.status(500).json({ error: "Failed to save learning progress" });
+  }
+});
+
+app.put("/learning/progress/:id", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { subject, topic, skill_level, hours_spent, progress_percentage, notes } = req.body;
+
+    const result = await pool.query(
+      `UPDATE learning_progress SET
+        subject=$1, topic=$2, skill_level=$3, hours_spent=$4,
+        progress_percentage=$5, notes=$6, updated_at=NOW(), last_practiced=NOW()
+       WHERE id=$7 AND user_id=$8 RETURNING *`,
+      [subject, topic, skill_level, hours_spent, progress_percentage, notes, id, req.user.id]
+    );
+
+    if (!result.rowCount) return res.status(404).json({ error: "Learning progress not found" });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("PUT /learning/progress/:id error:", err);
+    res.status(500).json({ error: "Failed to update learning progress" });
+  }
+});
+
+app.delete("/learning/progress/:id", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query("DELETE FROM learning_progress WHERE id=$1 AND user_id=$2", [id, req.user.id]);
+    if (!result.rowCount) return res.status(404).json({ error: "Learning progress not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /learning/progress/:id error:", err);
+    res.status(500).json({ error: "Failed to delete learning progress" });
+  }
+});
+
+// File storage for note attachments
+const storage = createStorage(process.env.STORAGE_DRIVER);
+const MAX_FILE_SIZE_BYTES = Number(process.env.MAX_FILE_SIZE_MB || 25) * 1024 * 1024;
+const FILE_QUOTA_BYTES = Number(process.env.FILE_QUOTA_MB || 200) * 1024 * 1024;
+const ALLOWED_FILE_TYPES = (process.env.ALLOWED_FILE_TYPES ||
+  'image/*,application/pdf,text/plain,text/markdown,text/csv,application/json,application/zip,' +
+  'application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,' +
+  'application/vnd.ms-excel,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,' +
+  'application/vnd.ms-powerpoint,application/vnd.openxmlformats-officedocument.presentationml.presentation')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean);
+
+function isAllowedFileType(mimeType) {
+  const type = String(mimeType || '').toLowerCase();
+  return ALLOWED_FILE_TYPES.some(allowed =>
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  );
+}
+
+async function getStorageUsage(userId) {
+  const result = await pool.query(
+    "SELECT COALESCE(SUM(file_size), 0)::bigint AS used FROM files WHERE user_id = $1",
+    [userId]
+  );
+  return Number(result.rows[0].used);
+}
+
+// Strips path components and control characters from client-supplied names
+function sanitizeFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'));
+  return base.replace(/[\x00-\x1f\x7f"]/g, '').trim().slice(0, 255) || 'file';
+}
+
+// Passes data through, failing once more than `limit` bytes have gone by
+function byteLimiter(limit) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      seen += chunk.length;
+      if (seen > limit) {
+        const err = new Error("Storage quota exceeded");
+        err.status = 413;
+        return callback(err);
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+// Removes blobs after their rows are gone; a missing blob is not an error
+async function removeStoredFiles(keys) {
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.error(`Failed to remove stored file ${key}:`, err.message);
+    }
+  }
+}
+
+// Reads a whole file into memory. Rows from before blob storage still carry
+// base64 data in file_path.
+async function readStoredFile(file) {
+  if (!file.storage_key) return Buffer.from(String(file.file_path || '').replace(/^data:[^,]*,/, ''), 'base64');
+  const chunks = [];
+  for await (const chunk of storage.createReadStream(file.storage_key)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Streams a multipart upload (single field "file") into storage.
+// Resolves with { key, size, originalName, mimeType }.
+function receiveUpload(req, userId, remainingQuota) {
+  return new Promise((resolve, reject) => {
+    let bb;
+    try {
+      bb = busboy({ headers: req.headers, defParamCharset: 'utf8', limits: { files: 1, fileSize: MAX_FILE_SIZE_BYTES } });
+    } catch (err) {
+      err.status = 400;
+      return reject(err);
+    }
+
+    let upload = null;
+    const fail = (status, message) => {
+      const err = new Error(message);
+      err.status = status;
+      reject(err);
+    };
+
+    bb.on('file', (_field, stream, info) => {
+      const originalName = sanitizeFilename(info.filename);
+      const mimeType = String(info.mimeType || 'application/octet-stream').toLowerCase();
+
+      if (!isAllowedFileType(mimeType)) {
+        stream.resume();
+        return fail(415, `File type ${mimeType} is not allowed`);
+      }
+
+      const key = `${userId}/${crypto.randomUUID()}${path.extname(originalName).toLowerCase()}`;
+      const limiter = byteLimiter(remainingQuota);
+      stream.on('limit', () => {
+        limiter.destroy(Object.assign(new Error(`File exceeds the ${MAX_FILE_SIZE_BYTES} byte limit`), { status: 413 }));
+      });
+      stream.pipe(limiter);
+
+      upload = storage.save(key, limiter)
+        .then(({ size }) => ({ key, size, originalName, mimeType }))
+        .catch(err => {
+          // Keep draining the request so busboy still reaches 'close'
+          stream.unpipe(limiter);
+          stream.resume();
+          throw err;
+        });
+      // Handled once busboy closes; this only keeps Node from flagging it early
+      upload.catch(() => {});
+    });
+
+    bb.on('close', () => {
+      if (!upload) return fail(400, "A file field is required");
+      upload.then(resolve, reject);
+    });
+    bb.on('error', (err) => {
+      err.status = err.status || 400;
+      reject(err);
+    });
+
+    req.pipe(bb);
+  });
+}
+
+// Reads a small text upload into memory: the file field of a multipart form,
+// or the raw body of a text/* request. Other multipart fields are copied onto
+// req.body. Rejects with a 4xx status error.
+function receiveTextUpload(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    const fail = (status, message) => {
+      failed = true;
+      reject(httpError(status, message));
+    };
+    const collect = (stream) => stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        if (!failed) fail(413, `Upload exceeds the ${maxBytes} byte limit`);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    const finish = () => {
+      if (!failed) resolve(Buffer.concat(chunks).toString('utf8').replace(/^\uFEFF/, ''));
+    };
+
+    if (req.is('text/*')) {
+      collect(req);
+      req.on('end', finish);
+      req.on('error', reject);
+      return;
+    }
+    if (!req.is('multipart/form-data')) {
+      return reject(httpError(415, "Send a multipart/form-data file or a text body"));
+    }
+
+    let bb;
+    try {
+      bb = busboy({ headers: req.headers, defParamCharset: 'utf8', limits: { files: 1 } });
+    } catch (err) {
+      err.status = 400;
+      return reject(err);
+    }
+    let received = false;
+    bb.on('field', (name, value) => {
+      req.body[name] = value;
+    });
+    bb.on('file', (_field, stream) => {
+      received = true;
+      collect(stream);
+    });
+    bb.on('close', () => {
+      if (!received && !failed) return fail(400, "A file field is required");
+      finish();
+    });
+    bb.on('error', (err) => {
+      err.status = err.status || 400;
+      reject(err);
+    });
+    req.pipe(bb);
+  });
+}
+
+// Upload a note attachment. Send multipart/form-data with a "file" field.
+// The older JSON body ({ filename, fileData (base64), mimeType }) is still
+// accepted and goes through the same storage, type and quota checks.
+app.post("/notes/:id/files", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Verify note ownership
+    const noteCheck = await pool.query("SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL", [id, req.user.id]);
+    if (!noteCheck.rows.length) {
+      if (req.is('multipart/form-data')) req.resume();
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    const remainingQuota = FILE_QUOTA_BYTES - await getStorageUsage(req.user.id);
+    let upload;
+
+    if (req.is('multipart/form-data')) {
+      upload = await receiveUpload(req, req.user.id, Math.max(remainingQuota, 0));
+    } else {
+      const { filename, fileData, mimeType } = req.body;
+      if (!filename || !fileData) {
+        return res.status(400).json({ error: "Filename and file data are required" });
+      }
+      const type = String(mimeType || 'application/octet-stream').toLowerCase();
+      if (!isAllowedFileType(type)) {
+        return res.status(415).json({ error: `File type ${type} is not allowed` });
+      }
+      const buffer = Buffer.from(String(fileData).replace(/^data:[^,]*,/, ''), 'base64');
+      if (buffer.length > MAX_FILE_SIZE_BYTES) {
+        return res.status(413).json({ error: `File exceeds the ${MAX_FILE_SIZE_BYTES} byte limit` });
+      }
+      if (buffer.length > remainingQuota) {
+        return res.status(413).json({ error: "Storage quota exceeded" });
+      }
+      const originalName = sanitizeFilename(filename);
+      const key = `${req.user.id}/${crypto.randomUUID()}${path.extname(originalName).toLowerCase()}`;
+      const { size } = await storage.save(key, Readable.from([buffer]));
+      upload = { key, size, originalName, mimeType: type };
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO files (note_id, user_id, filename, original_name, storage_key, file_size, mime_type)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, note_id, filename, original_name, file_size, mime_type, created_at`,
+        [id, req.user.id, path.basename(upload.key), upload.originalName, upload.key, upload.size, upload.mimeType]
+      );
+      res.status(201).json({ ...result.rows[0], download_url: `/files/${result.rows[0].id}/download` });
+    } catch (err) {
+      await removeStoredFiles([upload.key]);
+      throw err;
+    }
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /notes/:id/files error:", err);
+    res.status(500).json({ error: "Failed to upload file" });
+  }
+});
+
+// Get files for a note
+app.get("/notes/:id/files", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Verify note ownership
+    const noteCheck = await pool.query("SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL", [id, req.user.id]);
+    if (!noteCheck.rows.length) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+
+    const result = await pool.query(
+      "SELECT id, filename, original_name, file_size, mime_type, created_at FROM files WHERE note_id = $1 AND user_id = $2 ORDER BY created_at DESC",
+      [id, req.user.id]
+    );
+
+    res.json(result.rows.map(file => ({ ...file, download_url: `/files/${file.id}/download` })));
+  } catch (err) {
+    console.error("GET /notes/:id/files error:", err);
+    res.status(500).json({ error: "Failed to fetch files" });
+  }
+});
+
+// Storage used by the current user against their quota
+app.get("/files/usage", authRequired, async (req, res) => {
+  try {
+    const used = await getStorageUsage(req.user.id);
+    res.json({ used, quota: FILE_QUOTA_BYTES, remaining: Math.max(FILE_QUOTA_BYTES - used, 0) });
+  } catch (err) {
+    console.error("GET /files/usage error:", err);
+    res.status(500).json({ error: "Failed to fetch storage usage" });
+  }
+});
+
+// Download a file. Supports single byte ranges; ?inline=true serves it for display.
+app.get("/files/:id/download", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT f.original_name, f.mime_type, f.file_size, f.storage_key, f.file_path
+       FROM files f LEFT JOIN notes n ON n.id = f.note_id
+       WHERE f.id = $1 AND f.user_id = $2 AND n.deleted_at IS NULL`,
+      [req.params.id, req.user.id]
+    );
+    const file = result.rows[0];
+    if (!file) return res.status(404).json({ error: "File not found" });
+
+    // Rows from before blob storage still carry base64 data in file_path
+    const legacy = file.storage_key ? null : Buffer.from(String(file.file_path || '').replace(/^data:[^,]*,/, ''), 'base64');
+    const size = legacy ? legacy.length : Number(file.file_size);
+
+    const disposition = String(req.query.inline).toLowerCase() === 'true' ? 'inline' : 'attachment';
+    const asciiName = file.original_name.replace(/[^\x20-\x7e]/g, '_');
+    res.setHeader('Content-Type', file.mime_type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(file.original_name)}`);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    let range = null;
+    if (req.headers.range) {
+      const ranges = req.range(size);
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+      }
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', size);
+    }
+
+    const stream = legacy
+      ? Readable.from([range ? legacy.subarray(range.start, range.end + 1) : legacy])
+      : storage.createReadStream(file.storage_key, range);
+    stream.on('error', (err) => {
+      console.error("GET /files/:id/download stream error:", err);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        return res.status(500).json({ error: "Failed to download file" });
+      }
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error("GET /files/:id/download error:", err);
+    res.status(500).json({ error: "Failed to download file" });
+  }
+});
+
+// Delete file (and its stored blob)
+app.delete("/files/:id", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query("DELETE FROM files WHERE id = $1 AND user_id = $2 RETURNING storage_key", [id, req.user.id]);
+    if (!result.rowCount) return res.status(404).json({ error: "File not found" });
+    await removeStoredFiles(result.rows.map(row => row.storage_key));
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /files/:id error:", err);
+    res.status(500).json({ error: "Failed to delete file" });
+  }
+});
+
+// Notes API
+app.get("/notes", authRequired, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const where = ["user_id = $1", "deleted_at IS NULL"];
+    const values = [req.user.id];
+
+    if (type) {
+      where.push("type = $2");
+      values.push(type);
+    }
+
+    const body = await queryList(req, {
+      from: "notes",
+      where,
+      values,
+      columns: await listColumns("notes"),
+      sorts: { updated_at: "notes.updated_at" },
+      sort: "updated_at",
+      order: "desc",
+      // Parse attachments from JSON for each note
+      map: note => note.attachments === undefined ? note : {
+        ...note,
+        attachments: note.attachments ? (typeof note.attachments === 'string' ? JSON.parse(note.attachments) : note.attachments) : []
+      }
+    });
+    sendList(req, res, body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /notes error:", err);
+    res.status(500).json({ error: "Failed to fetch notes" });
+  }
+});
+
+app.post("/notes", authRequired, async (req, res) => {
+  try {
+    const { type, title, content, tags, attachments } = req.body;
+    if (!type || !title || !['learning', 'working'].includes(type)) {
+      return res.status(400).json({ error: "Valid type and title are required" });
+    }
+
+    const result = await pool.query(
+      "INSERT INTO notes (user_id, type, title, content, tags, attachments) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
+      [req.user.id, type, title, content || '', tags || [], JSON.stringify(attachments || [])]
+    );
+
+    // Parse attachments in response
+    const note = result.rows[0];
+    note.attachments = note.attachments ? (typeof note.attachments === 'string' ? JSON.parse(note.attachments) : note.attachments) : [];
+    await queueWebhookEvent(pool, req.user.id, 'note.created', { note });
+    res.json(note);
+  } catch (err) {
+    console.error("POST /notes error:", err);
+    res.status(500).json({ error: "Failed to create note" });
+  }
+});
+
+app.put("/notes/:id", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, content, tags, attachments } = req.body;
+
+    const result = await pool.query(
+      "UPDATE notes SET title=$1, content=$2, tags=$3, attachments=$4, updated_at=NOW() WHERE id=$5 AND user_id=$6 AND deleted_at IS NULL RETURNING *",
+      [title, content, tags, JSON.stringify(attachments || []), id, req.user.id]
+    );
+
+    if (!result.rowCount) return res.status(404).json({ error: "Note not found" });
+
+    // Parse attachments in response
+    const note = result.rows[0];
+    note.attachments = note.attachments ? (typeof note.attachments === 'string' ? JSON.parse(note.attachments) : note.attachments) : [];
+    await queueWebhookEvent(pool, req.user.id, 'note.updated', { note });
+    res.json(note);
+  } catch (err) {
+    console.error("PUT /notes/:id error:", err);
+    res.status(500).json({ error: "Failed to update note" });
+  }
+});
+
+app.delete("/notes/:id", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    // Attachments stay with the note in the trash and are removed when it is purged
+    const result = await pool.query(
+      "UPDATE notes SET deleted_at=NOW() WHERE id=$1 AND user_id=$2 AND deleted_at IS NULL RETURNING *",
+      [id, req.user.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Note not found" });
+    await queueWebhookEvent(pool, req.user.id, 'note.deleted', { note: result.rows[0] });
+    res.json({ success: true, trashed: true });
+  } catch (err) {
+    console.error("DELETE /notes/:id error:", err);
+    res.status(500).json({ error: "Failed to delete note" });
+  }
+});
+
+// PR Management API
+app.get("/prs", authRequired, async (req, res) => {
+  try {
+    const body = await queryList(req, {
+      from: "prs",
+      where: ["user_id = $1", "deleted_at IS NULL"],
+      values: [req.user.id],
+      columns: await listColumns("prs"),
+      sorts: { created_at: "prs.created_at" },
+      sort: "created_at",
+      order: "desc"
+    });
+    sendList(req, res, body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /prs error:", err);
+    res.status(500).json({ error: "Failed to fetch PRs" });
+  }
+});
+
+app.post("/prs", authRequired, async (req, res) => {
+  try {
+    const { title, frontend_status, backend_status, frontend_link, backend_link } = req.body;
+    if (!title) return res.status(400).json({ error: "Title is required" });
+
+    const result = await pool.query(
+      "INSERT INTO prs (user_id, title, frontend_status, backend_status, frontend_link, backend_link) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
+      [
+        req.user.id,
+        title,
+        frontend_status || 'none',
+        backend_status || 'none',
+        frontend_link || null,
+        backend_link || null
+      ]
+    );
+    await queueWebhookEvent(pool, req.user.id, 'pr.created', { pr: result.rows[0] });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("POST /prs error:", err);
+    res.status(500).json({ error: "Failed to create PR" });
+  }
+});
+
+app.put("/prs/:id", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, frontend_status, backend_status, frontend_link, backend_link } = req.body;
+
+    const result = await pool.query(
+      "UPDATE prs SET title=$1, frontend_status=$2, backend_status=$3, frontend_link=$4, backend_link=$5, updated_at=NOW() WHERE id=$6 AND user_id=$7 AND deleted_at IS NULL RETURNING *",
+      [title, frontend_status, backend_status, frontend_link || null, backend_link || null, id, req.user.id]
+    );
+
+    if (!result.rowCount) return res.status(404).json({ error: "PR not found" });
+    await queueWebhookEvent(pool, req.user.id, 'pr.updated', { pr: result.rows[0] });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("PUT /prs/:id error:", err);
+    res.status(500).json({ error: "Failed to update PR" });
+  }
+});
+
+app.delete("/prs/:id", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      "UPDATE prs SET deleted_at=NOW() WHERE id=$1 AND user_id=$2 AND deleted_at IS NULL RETURNING *",
+      [id, req.user.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "PR not found" });
+    await queueWebhookEvent(pool, req.user.id, 'pr.deleted', { pr: result.rows[0] });
+    res.json({ success: true, trashed: true });
+  } catch (err) {
+    console.error("DELETE /prs/:id error:", err);
+    res.status(500).json({ error: "Failed to delete PR" });
+  }
+});
+
+// PR Download endpoint
+app.get("/prs/download", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM prs WHERE user_id = $1 AND deleted_at IS NULL", [req.user.id]);
+    if (result.rows.length < 10) {
+      return res.status(400).json({ error: "Minimum 10 PRs required for download" });
+    }
+
+    // Create CSV content
+    let csvContent = "Title,Frontend PR,Backend PR\n";
+    result.rows.forEach(pr => {
+      const frontendStatus = pr.frontend_status !== 'none' ? pr.frontend_status : '';
+      const backendStatus = pr.backend_status !== 'none' ? pr.backend_status : '';
+      csvContent += `"${pr.title}","${frontendStatus}","${backendStatus}"\n`;
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="prs-${Date.now()}.csv"`);
+    res.send(csvContent);
+  } catch (err) {
+    console.error("GET /prs/download error:", err);
+    res.status(500).json({ error: "Failed to download PRs" });
+  }
+});
+
+// Trash
+// Deleting a task, note or PR only sets deleted_at. Trashed items are left
+// out of every list and can be restored until they are purged, either by
+// hand or automatically TRASH_RETENTION_DAYS after deletion.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const TRASH_TYPES = { task: 'tasks', note: 'notes', pr: 'prs' };
+
+function trashType(type) {
+  if (!TRASH_TYPES[type]) throw httpError(400, `type must be one of: ${Object.keys(TRASH_TYPES).join(", ")}`);
+  return type;
+}
+
+// SQL selecting the trashed rows of one type the user in $1 may restore or
+// purge: tasks they can write to, and their own notes and PRs
+function trashSql(type) {
+  if (type === 'task') {
+    return `SELECT 'task' AS type, t.id, t.title, t.deleted_at FROM tasks t WHERE ${taskAccessSql('t', '$1', { write: true, trashed: true })}`;
+  }
+  return `SELECT '${type}' AS type, id, title, deleted_at FROM ${TRASH_TYPES[type]} WHERE user_id = $1 AND deleted_at IS NOT NULL`;
+}
+
+// Deletes trashed rows for good. `where` is matched against rows of the
+// given type; note attachments go with their notes.
+async function purgeTrash(db, type, where, values) {
+  const table = TRASH_TYPES[type];
+  const files = type === 'note'
+    ? await db.query(`SELECT storage_key FROM files WHERE note_id IN (SELECT id FROM notes WHERE deleted_at IS NOT NULL AND ${where})`, values)
+    : { rows: [] };
+  const result = await db.query(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL AND ${where} RETURNING id`, values);
+  return { ids: result.rows.map(row => row.id), keys: files.rows.map(row => row.storage_key) };
+}
+
+// GET /trash?type=task|note|pr
+app.get("/trash", authRequired, async (req, res) => {
+  try {
+    const types = req.query.type ? [trashType(req.query.type)] : Object.keys(TRASH_TYPES);
+    const result = await pool.query(
+      `SELECT trash.*, trash.deleted_at + make_interval(days => $2) AS purge_at
+       FROM (${types.map(trashSql).join(" UNION ALL ")}) trash
+       ORDER BY trash.deleted_at DESC, trash.type, trash.id`,
+      [req.user.id, TRASH_RETENTION_DAYS]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /trash error:", err);
+    res.status(500).json({ error: "Failed to fetch trash" });
+  }
+});
+
+// POST /trash/:type/:id/restore
+app.post("/trash/:type/:id/restore", authRequired, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const type = trashType(req.params.type);
+    await client.query("BEGIN");
+    const found = await client.query(`SELECT id FROM (${trashSql(type)}) trash WHERE id = $2`, [req.user.id, req.params.id]);
+    if (!found.rowCount) throw httpError(404, "Item not found in trash");
+
+    let item;
+    if (type === 'task') {
+      item = await untrashTask(client, req.params.id);
+      await logTaskChanges(client, req.user.id, [{ before: null, after: item }], { source: 'trash' });
+    } else {
+      const result = await client.query(
+        `UPDATE ${TRASH_TYPES[type]} SET deleted_at = NULL, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [req.params.id]
+      );
+      item = result.rows[0];
+      await queueWebhookEvent(client, req.user.id, `${type}.created`, { [type]: item });
+    }
+    await client.query("COMMIT");
+    if (type === 'task') io.to(taskRoom(item)).emit("task_created", item);
+    res.json(item);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /trash/:type/:id/restore error:", err);
+    res.status(500).json({ error: "Failed to restore item" });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /trash/:type/:id - delete one item permanently
+app.delete("/trash/:type/:id", authRequired, async (req, res) => {
+  try {
+    const type = trashType(req.params.type);
+    const { ids, keys } = await purgeTrash(pool, type,
+      `id = $2 AND id IN (SELECT id FROM (${trashSql(type)}) trash)`, [req.user.id, req.params.id]);
+    if (!ids.length) return res.status(404).json({ error: "Item not found in trash" });
+    await removeStoredFiles(keys);
+    res.json({ success: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("DELETE /trash/:type/:id error:", err);
+    res.status(500).json({ error: "Failed to purge item" });
+  }
+});
+
+// DELETE /trash?type= - empty the trash
+app.delete("/trash", authRequired, async (req, res) => {
+  try {
+    const types = req.query.type ? [trashType(req.query.type)] : Object.keys(TRASH_TYPES);
+    const purged = {};
+    const keys = [];
+    for (const type of types) {
+      const result = await purgeTrash(pool, type, `id IN (SELECT id FROM (${trashSql(type)}) trash)`, [req.user.id]);
+      purged[type] = result.ids.length;
+      keys.push(...result.keys);
+    }
+    await removeStoredFiles(keys);
+    res.json({ success: true, purged });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("DELETE /trash error:", err);
+    res.status(500).json({ error: "Failed to empty trash" });
+  }
+});
+
+// Purges everything that has been in the trash longer than the retention period
+async function purgeExpiredTrash() {
+  try {
+    const keys = [];
+    for (const type of Object.keys(TRASH_TYPES)) {
+      const result = await purgeTrash(pool, type, "deleted_at < NOW() - make_interval(days => $1)", [TRASH_RETENTION_DAYS]);
+      if (result.ids.length) console.log(`🗑️  Purged ${result.ids.length} expired ${TRASH_TYPES[type]} from the trash`);
+      keys.push(...result.keys);
+    }
+    await removeStoredFiles(keys);
+  } catch (err) {
+    console.error("Trash purge error:", err);
+  }
+}
+
+// Search API
+// GET /search?q= looks through tasks, notes and PRs at once. Every word is
+// prefix-matched and all of them must appear. Results are ranked, carry
+// <mark>-highlighted snippets and can be narrowed with
+// type=task,note,pr and from/to (YYYY-MM-DD, on created_at).
+const SEARCH_TYPES = ['task', 'note', 'pr'];
+const SEARCH_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+// Escapes the source text in SQL so the <mark> tags are the only markup in a highlight
+const searchHtmlEscape = expr =>
+  `replace(replace(replace(replace(replace(${expr}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+
+// Turns free text into a prefix tsquery ("dep stag" -> "dep:* & stag:*").
+// Only letters and digits survive, so the result is always valid syntax.
+function buildSearchQuery(text) {
+  const terms = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, 10).map(term => `${term}:*`).join(' & ');
+}
+
+app.get("/search", authRequired, async (req, res) => {
+  try {
+    const tsquery = buildSearchQuery(req.query.q);
+    if (!tsquery) return res.status(400).json({ error: "q is required" });
+
+    const types = req.query.type ? String(req.query.type).split(',').map(t => t.trim()) : SEARCH_TYPES;
+    if (types.some(t => !SEARCH_TYPES.includes(t))) {
+      return res.status(400).json({ error: `type must be one of: ${SEARCH_TYPES.join(", ")}` });
+    }
+    const { from = null, to = null } = req.query;
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      return res.status(400).json({ error: "from and to must be YYYY-MM-DD" });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    // $1 user, $2 query, $3/$4 date range; each branch yields the same columns
+    const dateRange = (alias) => `($3::date IS NULL OR ${alias}.created_at >= $3::date)
+      AND ($4::date IS NULL OR ${alias}.created_at < $4::date + 1)`;
+    const branches = {
+      task: `
+        SELECT 'task' AS type, t.id, t.title, COALESCE(t.description, '') AS body,
+               ts_rank_cd(t.search_vector, q.query) AS rank, t.created_at, t.updated_at,
+               jsonb_build_object('status', t.status, 'priority', t.priority, 'due_date', t.due_date, 'project_id', t.project_id) AS data
+        FROM tasks t, q
+        WHERE t.search_vector @@ q.query AND ${taskAccessSql('t', '$1')} AND ${dateRange('t')}`,
+      note: `
+        SELECT 'note', n.id, n.title, COALESCE(n.content, ''),
+               ts_rank_cd(n.search_vector, q.query), n.created_at, n.updated_at,
+               jsonb_build_object('type', n.type, 'tags', n.tags)
+        FROM notes n, q
+        WHERE n.search_vector @@ q.query AND n.user_id = $1 AND n.deleted_at IS NULL AND ${dateRange('n')}`,
+      pr: `
+        SELECT 'pr', p.id, p.title, concat_ws(' ', p.frontend_link, p.backend_link),
+               ts_rank_cd(p.search_vector, q.query), p.created_at, p.updated_at,
+               jsonb_build_object('frontend_status', p.frontend_status, 'backend_status', p.backend_status)
+        FROM prs p, q
+        WHERE p.search_vector @@ q.query AND p.user_id = $1 AND p.deleted_at IS NULL AND ${dateRange('p')}`
+    };
+
+    // Snippets are only built for the page being returned
+    const result = await pool.query(
+      `WITH q AS (SELECT to_tsquery('english', $2) AS query),
+       hits AS (
+         ${types.map(type => branches[type]).join(" UNION ALL ")}
+         ORDER BY rank DESC, updated_at DESC
+         LIMIT $5 OFFSET $6
+       )
+       SELECT hits.type, hits.id, hits.title, hits.rank, hits.created_at, hits.updated_at, hits.data,
+              ts_headline('english', ${searchHtmlEscape('hits.title')}, q.query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS title_highlight,
+              CASE WHEN hits.body = '' THEN '' ELSE ts_headline('english', ${searchHtmlEscape('hits.body')}, q.query, $7) END AS snippet
+       FROM hits, q
+       ORDER BY hits.rank DESC, hits.updated_at DESC`,
+      [req.user.id, tsquery, from, to, limit, offset, SEARCH_HEADLINE_OPTIONS]
+    );
+    res.json({ results: result.rows, limit, offset });
+  } catch (err) {
+    console.error("GET /search error:", err);
+    res.status(500).json({ error: "Failed to search" });
+  }
+});
+
+// Profile Management
+app.get("/profile", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT id, username, phone, email, full_name, profile_photo, is_verified FROM users WHERE id = $1",
+      [req.user.id]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("GET /profile error:", err);
+    res.status(500).json({ error: "Failed to fetch profile" });
+  }
+});
+
+app.put("/profile", authRequired, async (req, res) => {
+  try {
+    const { full_name, email, profile_photo } = req.body;
+    const result = await pool.query(
+      "UPDATE users SET full_name = $1, email = $2, profile_photo = $3 WHERE id = $4 RETURNING id, username, phone, email, full_name, profile_photo, is_verified",
+      [full_name, email, profile_photo, req.user.id]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("PUT /profile error:", err);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+// Account archives: GET /export writes everything a user owns into one
+// versioned JSON document that POST /import restores (see below)
+const ACCOUNT_ARCHIVE_FORMAT = 'taskflow-account';
+const ACCOUNT_ARCHIVE_VERSION = 1;
+
+// DATE and TIMESTAMP (without time zone) values are kept as the text Postgres
+// sends, so they don't shift when two servers run in different time zones
+const ARCHIVE_QUERY_TYPES = {
+  getTypeParser: (oid, format) => ([types.builtins.DATE, types.builtins.TIMESTAMP].includes(oid)
+    ? (value) => value
+    : types.getTypeParser(oid, format))
+};
+
+// Collects everything a user owns into a plain JSON object. Files are
+// listed without their contents; see exportArchiveChunks.
+// `db` may be the pool or a client inside a transaction.
+async function buildUserExport(db, userId) {
+  const rows = async (query) => (await db.query({ text: query, values: [userId], types: ARCHIVE_QUERY_TYPES })).rows;
+  const ownTasks = "SELECT id FROM tasks WHERE user_id = $1";
+
+  const profile = await rows("SELECT id, username, phone, email, full_name, profile_photo, is_verified, created_at FROM users WHERE id = $1");
+
+  return {
+    format: ACCOUNT_ARCHIVE_FORMAT,
+    version: ACCOUNT_ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    profile: profile[0] || null,
+    projects: await rows("SELECT * FROM projects WHERE user_id = $1 ORDER BY id"),
+    labels: await rows("SELECT * FROM labels WHERE user_id = $1 ORDER BY id"),
+    task_workflow: (await rows("SELECT statuses, done_status, transitions FROM task_workflows WHERE user_id = $1"))[0] || null,
+    board_wip_limits: await rows("SELECT status, wip_limit FROM board_wip_limits WHERE user_id = $1 ORDER BY status"),
+    tasks: await rows("SELECT * FROM tasks WHERE user_id = $1 ORDER BY id"),
+    task_subtasks: await rows(`SELECT * FROM task_subtasks WHERE task_id IN (${ownTasks}) ORDER BY id`),
+    task_dependencies: await rows(
+      `SELECT task_id, depends_on_id, created_at FROM task_dependencies
+       WHERE task_id IN (${ownTasks}) AND depends_on_id IN (${ownTasks})`
+    ),
+    task_labels: await rows(
+      `SELECT tl.* FROM task_labels tl JOIN labels l ON l.id = tl.label_id
+       WHERE l.user_id = $1 AND tl.task_id IN (${ownTasks})`
+    ),
+    task_reminders: await rows(
+      `SELECT task_id, minutes_before, created_at FROM task_reminders
+       WHERE user_id = $1 AND status <> 'dismissed' AND task_id IN (${ownTasks}) ORDER BY id`
+    ),
+    notes: await rows("SELECT * FROM notes WHERE user_id = $1 ORDER BY id"),
+    files: await rows("SELECT id, note_id, filename, original_name, file_size, mime_type, created_at FROM files WHERE user_id = $1 ORDER BY id"),
+    prs: await rows("SELECT * FROM prs WHERE user_id = $1 ORDER BY id"),
+    daily_goals: await rows("SELECT * FROM daily_goals WHERE user_id = $1 ORDER BY id"),
+    learning_progress: await rows("SELECT * FROM learning_progress WHERE user_id = $1 ORDER BY id"),
+    study_sessions: await rows("SELECT * FROM study_sessions WHERE user_id = $1 ORDER BY id"),
+    time_sessions: await rows("SELECT * FROM time_sessions WHERE user_id = $1 ORDER BY id"),
+    time_logs: await rows("SELECT * FROM time_logs WHERE user_id = $1 ORDER BY id"),
+    habits: await rows("SELECT * FROM habits WHERE user_id = $1 ORDER BY id"),
+    habit_checkins: await rows("SELECT * FROM habit_checkins WHERE user_id = $1 ORDER BY id"),
+    knowledge_base: await rows("SELECT * FROM knowledge_base WHERE user_id = $1 ORDER BY id"),
+    user_preferences: await rows("SELECT key, value, created_at, updated_at FROM user_preferences WHERE user_id = $1 ORDER BY key")
+  };
+}
+
+// Delete account: requires the password and the confirmation phrase "delete".
+// Pass export=true to get a full JSON export of the account in the response.
+// Refused while the user owns projects that have other members. Tasks the
+// user created in other people's shared projects are handed to the owner.
+app.delete("/profile/delete", authRequired, async (req, res) => {
+  const { confirmation, password } = req.body || {};
+  const wantsExport = [req.body?.export, req.query.export].some(v => v === true || v === 'true' || v === '1');
+
+  if (String(confirmation || '').trim().toLowerCase() !== 'delete') {
+    return res.status(400).json({ error: "Type 'delete' to confirm account deletion" });
+  }
+  if (!password) {
+    return res.status(400).json({ error: "Password is required to delete your account" });
+  }
+
+  const client = await pool.connect();
+  try {
+    const userResult = await client.query("SELECT password_hash FROM users WHERE id = $1", [req.user.id]);
+    const user = userResult.rows[0];
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const ok = await bcrypt.compare(password, user.password_hash);
+    if (!ok) return res.status(401).json({ error: "Password is incorrect" });
+
+    await client.query("BEGIN");
+    const shared = await client.query(
+      `SELECT p.name FROM projects p WHERE p.user_id = $1
+       AND EXISTS (SELECT 1 FROM project_members m WHERE m.project_id = p.id AND m.user_id <> $1)
+       ORDER BY p.id`,
+      [req.user.id]
+    );
+    if (shared.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: `Delete these shared projects or remove their members first: ${shared.rows.map(row => row.name).join(", ")}`
+      });
+    }
+
+    const exported = wantsExport ? await buildUserExport(client, req.user.id) : undefined;
+    const files = await client.query("SELECT storage_key FROM files WHERE user_id = $1", [req.user.id]);
+
+    // Tasks in other people's projects stay with the project, owned by its owner
+    const previous = await client.query(
+      `SELECT t.* FROM tasks t JOIN projects p ON p.id = t.project_id
+       WHERE t.user_id = $1 AND p.user_id <> $1 FOR UPDATE OF t`,
+      [req.user.id]
+    );
+    const handedOver = await client.query(
+      `UPDATE tasks t SET user_id = p.user_id, assigned_to = NULLIF(t.assigned_to, $1), updated_at = NOW()
+       FROM projects p WHERE p.id = t.project_id AND t.id = ANY($2::int[])
+       RETURNING t.*`,
+      [req.user.id, previous.rows.map(task => task.id)]
+    );
+    for (const table of ['task_subtasks', 'task_dependencies', 'task_changes']) {
+      await client.query(
+        `UPDATE ${table} x SET user_id = t.user_id FROM tasks t
+         WHERE t.id = x.task_id AND x.user_id = $1 AND t.user_id <> $1`,
+        [req.user.id]
+      );
+    }
+    const before = new Map(previous.rows.map(task => [task.id, task]));
+    await logTaskChanges(client, req.user.id, handedOver.rows.map(task => ({ before: before.get(task.id), after: task })),
+      { source: 'account' });
+    // Personal tasks can only be assigned to their creator
+    await client.query(
+      `UPDATE tasks SET assigned_to = NULL
+       WHERE project_id IN (SELECT id FROM projects WHERE user_id = $1) AND assigned_to <> user_id`,
+      [req.user.id]
+    );
+
+    // These tables may still carry foreign keys without ON DELETE CASCADE
+    await client.query("DELETE FROM time_logs WHERE user_id = $1", [req.user.id]);
+    await client.query("DELETE FROM time_sessions WHERE user_id = $1", [req.user.id]);
+    await client.query("DELETE FROM users WHERE id = $1", [req.user.id]);
+    await client.query("COMMIT");
+
+    await removeStoredFiles(files.rows.map(row => row.storage_key));
+    io.in(`user-${req.user.id}`).disconnectSockets(true);
+    handedOver.rows.forEach(task => io.to(`project-${task.project_id}`).emit("task_updated", task));
+
+    res.json({
+      success: true,
+      message: "Account deleted successfully",
+      ...(exported ? { export: exported } : {})
+    });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("DELETE /profile/delete error:", err);
+    res.status(500).json({ error: "Failed to delete account" });
+  } finally {
+    client.release();
+  }
+});
+
+// Yields the archive as JSON text, reading each attachment only when its
+// entry is written so a large account is never held in memory at once.
+// `stored` maps file ids to their storage rows.
+async function* exportArchiveChunks(archive, stored) {
+  const { files, ...rest } = archive;
+  yield `${JSON.stringify(rest).slice(0, -1)},"files":[`;
+  for (const [i, file] of files.entries()) {
+    const data = await readStoredFile(stored.get(file.id)).then(buffer => buffer.toString('base64'), (err) => {
+      console.error(`Failed to read file ${file.id} for export:`, err.message);
+      return null;
+    });
+    yield `${i ? "," : ""}${JSON.stringify({ ...file, data })}`;
+  }
+  yield "]}";
+}
+
+// GET /export - the account archive as a download. ?files=true adds each
+// attachment's contents as base64 in `data` and streams the response.
+// Read in one snapshot so the parts line up.
+app.get("/export", authRequired, async (req, res) => {
+  const withFiles = String(req.query.files) === 'true';
+  const client = await pool.connect();
+  let archive;
+  let stored;
+  try {
+    await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+    archive = await buildUserExport(client, req.user.id);
+    if (withFiles) {
+      const result = await client.query("SELECT id, storage_key, file_path FROM files WHERE user_id = $1", [req.user.id]);
+      stored = new Map(result.rows.map(row => [row.id, row]));
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("GET /export error:", err);
+    return res.status(500).json({ error: "Failed to export account" });
+  } finally {
+    client.release();
+  }
+
+  const name = `taskflow-${String(archive.profile.username).replace(/[^\w.-]+/g, '_')}-${archive.exported_at.slice(0, 10)}.json`;
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+  if (!withFiles) return res.json(archive);
+
+  res.type('json');
+  const stream = Readable.from(exportArchiveChunks(archive, stored));
+  stream.on('error', (err) => {
+    console.error("GET /export stream error:", err);
+    res.destroy(err);
+  });
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+});
+
+// POST /import restores an archive into the current account, on this or
+// another server. Send the archive as the JSON body ({ archive, mode, ... }
+// or the archive itself), as a multipart "file" field or as a text body.
+//   mode=merge    (default) adds the archive next to the existing data;
+//                 projects and labels with the same name are reused and
+//                 existing settings (workflow, WIP limits, preferences) win
+//   mode=replace  deletes the account's tasks, notes, PRs, logs, habits and
+//                 settings first, and needs confirm=replace. Projects shared
+//                 with other members keep their tasks, and labels still used
+//                 on those tasks are kept too.
+// Every id is re-issued and references are remapped. dry_run=true runs the
+// import and rolls it back, so the response shows what would happen.
+const ACCOUNT_IMPORT_MAX_BYTES = Number(process.env.ACCOUNT_IMPORT_MAX_MB || 50) * 1024 * 1024;
+const ACCOUNT_IMPORT_MODES = ['merge', 'replace'];
+// Restored as plain rows of the importing user, with nothing to remap
+const ACCOUNT_ARCHIVE_PLAIN_TABLES = ['prs', 'daily_goals', 'learning_progress', 'study_sessions', 'time_sessions', 'time_logs', 'knowledge_base'];
+
+// Column name -> type of a table, read once from the database
+const archiveColumnsCache = new Map();
+async function archiveColumns(table) {
+  if (!archiveColumnsCache.has(table)) {
+    const result = await pool.query(
+      "SELECT column_name, data_type FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1",
+      [table]
+    );
+    archiveColumnsCache.set(table, new Map(result.rows
+      .filter(row => row.column_name !== 'search_vector')
+      .map(row => [row.column_name, row.data_type])));
+  }
+  return archiveColumnsCache.get(table);
+}
+
+// Inserts archive rows into `table`. Only columns this server has are
+// written and ids always come from the sequence. override(row) returns the
+// values to replace (owner and foreign keys), or null to skip the row.
+// Resolves to { ids: Map of archive id -> new id, count }.
+async function insertArchiveRows(db, table, rows, override, { onConflict = '' } = {}) {
+  const columns = await archiveColumns(table);
+  const ids = new Map();
+  let count = 0;
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row || typeof row !== 'object') continue;
+    const values = await override(row);
+    if (!values) continue;
+    const record = { ...row, ...values };
+    const names = Object.keys(record).filter(name => name !== 'id' && columns.has(name) && record[name] !== undefined);
+    const params = names.map(name => (columns.get(name) === 'jsonb' && record[name] !== null ? JSON.stringify(record[name]) : record[name]));
+    let result;
+    try {
+      result = await db.query(
+        `INSERT INTO ${table} (${names.join(", ")}) VALUES (${names.map((_, i) => `$${i + 1}`).join(", ")})
+         ${onConflict}${columns.has('id') ? " RETURNING id" : ""}`,
+        params
+      );
+    } catch (err) {
+      // Bad values (class 22) and constraint violations (class 23) are the archive's fault
+      if (/^2[23]/.test(err.code || '')) throw httpError(400, `Invalid ${table} row ${row.id ?? count + 1} in the archive: ${err.message}`);
+      throw err;
+    }
+    count += result.rowCount;
+    if (row.id !== undefined && result.rows[0]) ids.set(String(row.id), result.rows[0].id);
+  }
+  return { ids, count };
+}
+
+// Replace mode starts from an empty account, except for what teammates still
+// use: tasks in shared projects and the labels on them. Returns the storage
+// keys of the deleted files, to be removed once the transaction commits.
+async function clearUserData(db, userId) {
+  const files = await db.query("SELECT storage_key FROM files WHERE user_id = $1", [userId]);
+  const tasks = await db.query(
+    `DELETE FROM tasks t WHERE t.user_id = $1
+     AND (t.project_id IS NULL OR NOT EXISTS (SELECT 1 FROM project_members m WHERE m.project_id = t.project_id AND m.user_id <> $1))
+     RETURNING t.id`,
+    [userId]
+  );
+  await db.query(
+    `DELETE FROM task_changes c WHERE c.task_id = ANY($2::int[])
+     OR (c.user_id = $1 AND NOT EXISTS (SELECT 1 FROM tasks t WHERE t.id = c.task_id))`,
+    [userId, tasks.rows.map(row => row.id)]
+  );
+  await db.query(
+    "DELETE FROM labels l WHERE l.user_id = $1 AND NOT EXISTS (SELECT 1 FROM task_labels tl WHERE tl.label_id = l.id)",
+    [userId]
+  );
+  for (const table of ['notes', 'habits', 'board_wip_limits', 'task_workflows', 'user_preferences', ...ACCOUNT_ARCHIVE_PLAIN_TABLES]) {
+    await db.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+  }
+  await db.query(
+    `DELETE FROM projects p WHERE p.user_id = $1
+     AND NOT EXISTS (SELECT 1 FROM project_members m WHERE m.project_id = p.id AND m.user_id <> $1)`,
+    [userId]
+  );
+  return files.rows.map(row => row.storage_key);
+}
+
+// Restores `archive` for userId inside the caller's transaction. Blobs
+// written to storage are pushed onto storedKeys so the caller can remove
+// them if the transaction fails. Restored tasks are not written to the
+// task history and do not trigger webhooks.
+async function importUserArchive(db, userId, archive, { mode, dryRun, storedKeys }) {
+  const warnings = [];
+  const imported = {};
+  const reused = { projects: 0, labels: 0 };
+  const list = (key) => (Array.isArray(archive[key]) ? archive[key] : []);
+  const mapped = (ids, id) => (id === null || id === undefined ? null : ids.get(String(id)) ?? null);
+  // References to the exporting user become the importing user; anyone else is dropped
+  const sourceUserId = archive.profile && archive.profile.id !== undefined ? String(archive.profile.id) : null;
+  const self = (id) => (id !== null && id !== undefined && String(id) === sourceUserId ? userId : null);
+
+  // Profile: replace overwrites, merge only fills fields that are empty
+  let profileFields = [];
+  if (archive.profile && typeof archive.profile === 'object') {
+    const current = (await db.query("SELECT full_name, email, phone, profile_photo FROM users WHERE id = $1", [userId])).rows[0];
+    const updates = {};
+    for (const field of ['full_name', 'email', 'phone', 'profile_photo']) {
+      const value = archive.profile[field];
+      if (value === undefined || value === null || value === '' || (mode === 'merge' && current[field])) continue;
+      updates[field] = String(value);
+    }
+    if (updates.phone) {
+      const taken = await db.query("SELECT 1 FROM users WHERE phone = $1 AND id <> $2", [updates.phone, userId]);
+      if (taken.rows.length) {
+        warnings.push("The phone number belongs to another account on this server and was not imported");
+        delete updates.phone;
+      }
+    }
+    profileFields = Object.keys(updates);
+    if (profileFields.length) {
+      await db.query(
+        `UPDATE users SET ${profileFields.map((field, i) => `${field} = $${i + 2}`).join(", ")} WHERE id = $1`,
+        [userId, ...profileFields.map(field => updates[field])]
+      );
+    }
+  }
+
+  // Projects and labels are matched by name before creating new ones
+  const projectIds = new Map();
+  imported.projects = 0;
+  for (const project of list('projects')) {
+    const existing = await db.query(
+      "SELECT id FROM projects WHERE user_id = $1 AND LOWER(name) = LOWER($2) ORDER BY archived ASC, id ASC LIMIT 1",
+      [userId, String(project.name || '')]
+    );
+    if (existing.rows.length) {
+      projectIds.set(String(project.id), existing.rows[0].id);
+      reused.projects++;
+      continue;
+    }
+    const { ids } = await insertArchiveRows(db, 'projects', [project], () => ({ user_id: userId }));
+    const id = ids.get(String(project.id));
+    await db.query("INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'owner')", [id, userId]);
+    io.in(`user-${userId}`).socketsJoin(`project-${id}`);
+    projectIds.set(String(project.id), id);
+    imported.projects++;
+  }
+
+  const labelIds = new Map();
+  imported.labels = 0;
+  for (const label of list('labels')) {
+    const existing = await db.query("SELECT id FROM labels WHERE user_id = $1 AND LOWER(name) = LOWER($2)", [userId, String(label.name || '')]);
+    if (existing.rows.length) {
+      labelIds.set(String(label.id), existing.rows[0].id);
+      reused.labels++;
+      continue;
+    }
+    const { ids } = await insertArchiveRows(db, 'labels', [label], () => ({ user_id: userId }));
+    labelIds.set(String(label.id), ids.get(String(label.id)));
+    imported.labels++;
+  }
+
+  // Workflow, WIP limits and preferences: existing settings win in merge mode.
+  // The workflow is only taken over by an account without tasks of its own,
+  // since their statuses belong to the current one.
+  const sourceWorkflow = archive.task_workflow ? parseWorkflow(archive.task_workflow) : { workflow: DEFAULT_WORKFLOW };
+  imported.task_workflow = 0;
+  if (sourceWorkflow.error) warnings.push(`The archive's workflow was not imported: ${sourceWorkflow.error}`);
+  else if (archive.task_workflow) {
+    const current = await db.query(
+      "SELECT EXISTS (SELECT 1 FROM task_workflows WHERE user_id = $1) OR EXISTS (SELECT 1 FROM tasks WHERE user_id = $1) AS in_use",
+      [userId]
+    );
+    if (!current.rows[0].in_use) {
+      const { statuses, done_status, transitions } = sourceWorkflow.workflow;
+      await db.query(
+        "INSERT INTO task_workflows (user_id, statuses, done_status, transitions) VALUES ($1, $2, $3, $4)",
+        [userId, JSON.stringify(statuses), done_status, transitions ? JSON.stringify(transitions) : null]
+      );
+      imported.task_workflow = 1;
+    }
+  }
+  const workflow = await getWorkflow(userId, db);
+  const sourceDone = sourceWorkflow.workflow ? sourceWorkflow.workflow.done_status : DEFAULT_WORKFLOW.done_status;
+
+  imported.board_wip_limits = (await insertArchiveRows(db, 'board_wip_limits', list('board_wip_limits'),
+    (limit) => (workflow.statuses.includes(limit.status) ? { user_id: userId } : null), { onConflict: "ON CONFLICT DO NOTHING" })).count;
+  imported.user_preferences = (await insertArchiveRows(db, 'user_preferences', list('user_preferences'),
+    () => ({ user_id: userId }), { onConflict: "ON CONFLICT (user_id, key) DO NOTHING" })).count;
+
+  // Tasks. Statuses missing from this account's workflow are mapped like a
+  // task import; merge mode appends them to the bottom of their columns.
+  const existingUids = new Set((await db.query(
+    "SELECT ical_uid FROM tasks WHERE user_id = $1 AND ical_uid IS NOT NULL", [userId]
+  )).rows.map(row => row.ical_uid));
+  const unknownStatuses = new Set();
+  let detached = 0;
+  const tasks = [...list('tasks')].sort((a, b) => (String(a.rank || '') < String(b.rank || '') ? -1 : String(a.rank || '') > String(b.rank || '') ? 1 : 0));
+  const { ids: taskIds, count: taskCount } = await insertArchiveRows(db, 'tasks', tasks, async (task) => {
+    let status = task.status === sourceDone ? workflow.done_status : task.status;
+    if (!workflow.statuses.includes(status)) {
+      const match = mapImportStatus(status, false, workflow, null);
+      if (match.warning) unknownStatuses.add(status);
+      status = match.status;
+    }
+    if (task.project_id !== null && task.project_id !== undefined && !projectIds.has(String(task.project_id))) detached++;
+    return {
+      user_id: userId,
+      status,
+      project_id: mapped(projectIds, task.project_id),
+      assigned_to: self(task.assigned_to),
+      deleted_by: self(task.deleted_by),
+      recurrence_series_id: null,
+      recurrence_next_id: null,
+      ical_uid: task.ical_uid && !existingUids.has(task.ical_uid) ? task.ical_uid : null,
+      rank: mode === 'merge' || !task.rank ? await nextRankInColumn(userId, status, db) : task.rank
+    };
+  });
+  imported.tasks = taskCount;
+  if (unknownStatuses.size) warnings.push(`Statuses not in your workflow were mapped: ${[...unknownStatuses].join(", ")}`);
+  if (detached) warnings.push(`${detached} task(s) belonged to projects outside the archive and were imported without a project`);
+
+  // Recurrence links point at other tasks of the same series
+  for (const task of tasks) {
+    if (task.recurrence_series_id == null && task.recurrence_next_id == null) continue;
+    await db.query(
+      "UPDATE tasks SET recurrence_series_id = $2, recurrence_next_id = $3 WHERE id = $1",
+      [mapped(taskIds, task.id), mapped(taskIds, task.recurrence_series_id), mapped(taskIds, task.recurrence_next_id)]
+    );
+  }
+
+  imported.task_subtasks = (await insertArchiveRows(db, 'task_subtasks', list('task_subtasks'),
+    (subtask) => (taskIds.has(String(subtask.task_id)) ? { task_id: mapped(taskIds, subtask.task_id), user_id: userId } : null))).count;
+  imported.task_dependencies = (await insertArchiveRows(db, 'task_dependencies', list('task_dependencies'),
+    (dep) => (taskIds.has(String(dep.task_id)) && taskIds.has(String(dep.depends_on_id))
+      ? { task_id: mapped(taskIds, dep.task_id), depends_on_id: mapped(taskIds, dep.depends_on_id), user_id: userId }
+      : null), { onConflict: "ON CONFLICT DO NOTHING" })).count;
+  imported.task_labels = (await insertArchiveRows(db, 'task_labels', list('task_labels'),
+    (link) => (taskIds.has(String(link.task_id)) && labelIds.has(String(link.label_id))
+      ? { task_id: mapped(taskIds, link.task_id), label_id: mapped(labelIds, link.label_id) }
+      : null), { onConflict: "ON CONFLICT DO NOTHING" })).count;
+
+  // Reminders are rescheduled from the due dates; ones already past are skipped
+  imported.task_reminders = 0;
+  const remindAt = reminderTimeSql('t', '$3', '$4');
+  for (const reminder of list('task_reminders')) {
+    const minutes = Number(reminder.minutes_before);
+    if (!taskIds.has(String(reminder.task_id)) || !Number.isInteger(minutes) || minutes < 0 || minutes > REMINDER_MAX_MINUTES) continue;
+    const created = await db.query(
+      `INSERT INTO task_reminders (task_id, user_id, minutes_before, remind_at, status)
+       SELECT t.id, $2, $3, ${remindAt}, CASE WHEN ${remindAt} <= NOW() THEN 'skipped' ELSE 'pending' END
+       FROM tasks t WHERE t.id = $1
+       ON CONFLICT (task_id, user_id, minutes_before) DO NOTHING`,
+      [mapped(taskIds, reminder.task_id), userId, minutes, REMINDER_ALL_DAY_TIME]
+    );
+    imported.task_reminders += created.rowCount;
+  }
+
+  // Notes and their attachments, which go through the usual type and quota checks
+  const { ids: noteIds, count: noteCount } = await insertArchiveRows(db, 'notes', list('notes'), () => ({ user_id: userId }));
+  imported.notes = noteCount;
+  imported.files = 0;
+  const used = await db.query("SELECT COALESCE(SUM(file_size), 0)::bigint AS used FROM files WHERE user_id = $1", [userId]);
+  let remainingQuota = FILE_QUOTA_BYTES - Number(used.rows[0].used);
+  for (const file of list('files')) {
+    if (!noteIds.has(String(file.note_id))) continue;
+    const name = sanitizeFilename(file.original_name || file.filename);
+    const mimeType = String(file.mime_type || 'application/octet-stream').toLowerCase();
+    const skip = (reason) => warnings.push(`File "${name}" was not imported: ${reason}`);
+    if (typeof file.data !== 'string') {
+      skip("the archive has no contents for it");
+      continue;
+    }
+    if (!isAllowedFileType(mimeType)) {
+      skip(`type ${mimeType} is not allowed on this server`);
+      continue;
+    }
+    const buffer = Buffer.from(file.data, 'base64');
+    if (buffer.length > MAX_FILE_SIZE_BYTES) {
+      skip(`it exceeds the ${MAX_FILE_SIZE_BYTES} byte limit`);
+      continue;
+    }
+    if (buffer.length > remainingQuota) {
+      skip("storage quota exceeded");
+      continue;
+    }
+    const key = `${userId}/${crypto.randomUUID()}${path.extname(name).toLowerCase()}`;
+    if (!dryRun) {
+      await storage.save(key, Readable.from([buffer]));
+      storedKeys.push(key);
+    }
+    await insertArchiveRows(db, 'files', [file], () => ({
+      note_id: mapped(noteIds, file.note_id),
+      user_id: userId,
+      filename: path.basename(key),
+      original_name: name,
+      storage_key: key,
+      file_path: null,
+      file_size: buffer.length,
+      mime_type: mimeType
+    }));
+    remainingQuota -= buffer.length;
+    imported.files++;
+  }
+
+  for (const table of ACCOUNT_ARCHIVE_PLAIN_TABLES) {
+    imported[table] = (await insertArchiveRows(db, table, list(table), () => ({ user_id: userId }))).count;
+  }
+
+  const { ids: habitIds, count: habitCount } = await insertArchiveRows(db, 'habits', list('habits'), () => ({ user_id: userId }));
+  imported.habits = habitCount;
+  imported.habit_checkins = (await insertArchiveRows(db, 'habit_checkins', list('habit_checkins'),
+    (checkin) => (habitIds.has(String(checkin.habit_id)) ? { habit_id: mapped(habitIds, checkin.habit_id), user_id: userId } : null),
+    { onConflict: "ON CONFLICT (habit_id, date) DO NOTHING" })).count;
+
+  return { imported, reused, profile_fields: profileFields, warnings };
+}
+
+app.post("/import", authRequired, async (req, res) => {
+  let client;
+  const storedKeys = [];
+  try {
+    let archive;
+    if (req.is('application/json')) {
+      archive = req.body.archive !== undefined ? req.body.archive : req.body;
+    } else {
+      const text = await receiveTextUpload(req, ACCOUNT_IMPORT_MAX_BYTES);
+      try {
+        archive = JSON.parse(text);
+      } catch (_e) {
+        return res.status(400).json({ error: "The archive is not valid JSON" });
+      }
+    }
+    if (!archive || typeof archive !== 'object' || archive.format !== ACCOUNT_ARCHIVE_FORMAT) {
+      return res.status(400).json({ error: "Not an account archive; create one with GET /export" });
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ACCOUNT_ARCHIVE_VERSION) {
+      return res.status(400).json({
+        error: `Archive version ${archive.version} is not supported; this server reads versions up to ${ACCOUNT_ARCHIVE_VERSION}`
+      });
+    }
+
+    const option = (name) => req.query[name] ?? req.body[name];
+    const mode = String(option('mode') || 'merge').toLowerCase();
+    if (!ACCOUNT_IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${ACCOUNT_IMPORT_MODES.join(", ")}` });
+    }
+    if (mode === 'replace' && String(option('confirm') || '').toLowerCase() !== 'replace') {
+      return res.status(400).json({ error: "Replace deletes the data already in this account; pass confirm=replace" });
+    }
+    const dryRun = importFlag(option('dry_run'));
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+    const removedKeys = mode === 'replace' ? await clearUserData(client, req.user.id) : [];
+    const result = await importUserArchive(client, req.user.id, archive, { mode, dryRun, storedKeys });
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+
+    if (!dryRun) {
+      await removeStoredFiles(removedKeys);
+      io.to(`user-${req.user.id}`).emit("account_imported", { mode, imported: result.imported });
+    }
+    res.status(dryRun ? 200 : 201).json({
+      mode,
+      dry_run: dryRun,
+      archive: { version: archive.version, exported_at: archive.exported_at || null },
+      ...result
+    });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    await removeStoredFiles(storedKeys);
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /import error:", err);
+    res.status(500).json({ error: "Failed to import account" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Password reset
+// Step 1: issue a single-use reset token. Only its SHA-256 hash is stored.
+// The response is the same whether or not the account exists.
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES || 60);
+
+app.post("/auth/forgot-password", async (req, res) => {
+  try {
+    const { username, email } = req.body;
+    if (!username && !email) {
+      return res.status(400).json({ error: "Username or email is required" });
+    }
+
+    // An exact username match wins over an email match; emails are not
+    // unique, so the oldest account with that email is used
+    let userResult = await pool.query("SELECT id, username, email FROM users WHERE username = $1", [username || null]);
+    if (!userResult.rows.length) {
+      userResult = await pool.query(
+        "SELECT id, username, email FROM users WHERE email IS NOT NULL AND LOWER(email) = LOWER($1) ORDER BY id LIMIT 1",
+        [email || username]
+      );
+    }
+    const user = userResult.rows[0];
+
+    // The same work is done whether or not the account exists and the mail
+    // goes out in the background, so the response time gives nothing away
+    const token = crypto.randomBytes(32).toString("hex");
+    await pool.query(
+      `UPDATE users SET reset_token = $1, reset_token_expires = NOW() + ($2 || ' minutes')::interval WHERE id = $3`,
+      [hashToken(token), String(RESET_TOKEN_TTL_MINUTES), user ? user.id : null]
+    );
+
+    if (user) {
+      const baseUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get("host")}`;
+      Promise.resolve().then(() => mailer.send({
+        to: user.email || user.username,
+        subject: "Reset your TaskFlow Pro password",
+        text: [
+          `Hi ${user.username},`,
+          "",
+          "Use the link below to choose a new password:",
+          `${baseUrl}/reset-password?token=${token}`,
+          "",
+          `The link expires in ${RESET_TOKEN_TTL_MINUTES} minutes. If you didn't ask for this, you can ignore this email.`
+        ].join("\n")
+      })).catch(err => console.error("Password reset mail error:", err));
+    }
+
+    res.json({ success: true, message: "If the account exists, a reset link has been sent" });
+  } catch (err) {
+    console.error("POST /auth/forgot-password error:", err);
+    res.status(500).json({ error: "Failed to request password reset" });
+  }
+});
+
+// Step 2: confirm with the token and a new password. Consuming the token
+// also revokes every existing session and bumps token_version.
+app.post("/auth/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: "Reset token is required. Request one via /auth/forgot-password" });
+    }
+    if (!newPassword) {
+      return res.status(400).json({ error: "New password is required" });
+    }
+    if (String(newPassword).length < 6) {
+      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    }
+
+    const hash = await bcrypt.hash(newPassword, 10);
+    const result = await pool.query(
+      `UPDATE users
+       SET password_hash = $1,
+           reset_token = NULL,
+           reset_token_expires = NULL,
+           token_version = token_version + 1
+       WHERE reset_token = $2 AND reset_token_expires > NOW()
+       RETURNING id`,
+      [hash, hashToken(String(token))]
+    );
+
+    if (!result.rowCount) {
+      return res.status(400).json({ error: "Reset token is invalid or has expired" });
+    }
+
+    await revokeSessions(result.rows[0].id);
+    io.in(`user-${result.rows[0].id}`).disconnectSockets(true);
+    res.json({ success: true, message: "Password updated successfully" });
+  } catch (err) {
+    console.error("POST /auth/reset-password error:", err);
+    res.status(500).json({ error: "Failed to update password" });
+  }
+});
+
+// Test endpoint to check database connection
+app.get("/test-db", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT NOW()");
+    res.json({
       success: true,
       timestamp: result.rows[0].now,
       message: "Database connection successful"
     });
   } catch (error) {
-    console.error("Database test error:", error);
+    console.error("Database test error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Simple network test endpoint for Android debugging
+app.get("/test-network", (req, res) => {
+  const clientIP = req.ip || req.connection.remoteAddress;
+  console.log(`📱 Network test request from: ${clientIP}`);
+  res.json({
+    success: true,
+    message: "Network connection successful!",
+    server: "http://192.168.1.2:3001",
+    clientIP: clientIP,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Global error handler middleware
+app.use((err, req, res, next) => {
+  console.error("Unhandled error:", err);
+  res.status(500).json({
+    error: "Internal server error",
+    message: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+});
+
+// Projects API
+// Every project row carries its task counts, completion percentage, member
+// count and the caller's role. Only members see a project; the caller's id is
+// always $1. Tasks count as completed in their creator's done status.
+const PROJECT_SELECT = `
+  SELECT p.*, me.role,
+         COUNT(t.id)::int AS task_count,
+         COUNT(t.id) FILTER (WHERE t.status = ${doneStatusSql('t.user_id')})::int AS completed_count,
+         CASE WHEN COUNT(t.id) = 0 THEN 0
+              ELSE ROUND(COUNT(t.id) FILTER (WHERE t.status = ${doneStatusSql('t.user_id')}) * 100.0 / COUNT(t.id))::int
+         END AS completion_percent,
+         (SELECT COUNT(*) FROM project_members m WHERE m.project_id = p.id)::int AS member_count
+  FROM projects p
+  JOIN project_members me ON me.project_id = p.id AND me.user_id = $1
+  LEFT JOIN tasks t ON t.project_id = p.id AND t.deleted_at IS NULL
+`;
+
+// Only the owner may change, archive or delete a project and manage its members
+async function requireProjectOwner(projectId, userId, db = pool) {
+  const role = await getProjectRole(projectId, userId, db);
+  if (!role) throw httpError(404, "Project not found");
+  if (role !== 'owner') throw httpError(403, "Only the project owner can do that");
+}
+
+app.get("/projects", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const archived = String(req.query.archived || 'false').toLowerCase();
+
+    let query = `${PROJECT_SELECT} WHERE TRUE`;
+    if (archived === 'true' || archived === '1') {
+      query += " AND p.archived = TRUE";
+    } else if (archived !== 'all') {
+      query += " AND p.archived = FALSE";
+    }
+    query += " GROUP BY p.id, me.role ORDER BY p.name ASC";
+
+    const result = await pool.query(query, [userId]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Projects error:", error);
+    res.status(500).json({ error: "Failed to fetch projects" });
+  }
+});
+
+app.get("/projects/:id", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${PROJECT_SELECT} WHERE p.id = $2 GROUP BY p.id, me.role`,
+      [req.user.id, req.params.id]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: "Project not found" });
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("GET /projects/:id error:", error);
+    res.status(500).json({ error: "Failed to fetch project" });
+  }
+});
+
+app.post("/projects", authRequired, async (req, res) => {
+  try {
+    const { name, kind, description, color } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: "Project name is required" });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO projects (user_id, name, kind, description, color)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *, 'owner' AS role, 0 AS task_count, 0 AS completed_count, 0 AS completion_percent, 1 AS member_count`,
+      [req.user.id, String(name).trim(), kind || 'personal', description || null, color || null]
+    );
+    await pool.query("INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'owner')", [result.rows[0].id, req.user.id]);
+    io.in(`user-${req.user.id}`).socketsJoin(`project-${result.rows[0].id}`);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("POST /projects error:", error);
+    res.status(500).json({ error: "Failed to create project" });
+  }
+});
+
+app.put("/projects/:id", authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, kind, description, color, archived } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: "Project name cannot be empty" });
+    }
+    await requireProjectOwner(id, req.user.id);
+
+    const result = await pool.query(
+      `UPDATE projects
+       SET name = COALESCE($3, name),
+           kind = COALESCE($4, kind),
+           description = COALESCE($5, description),
+           color = COALESCE($6, color),
+           archived = COALESCE($7, archived),
+           archived_at = CASE
+             WHEN $7::boolean IS TRUE AND archived = FALSE THEN NOW()
+             WHEN $7::boolean IS FALSE THEN NULL
+             ELSE archived_at
+           END,
+           updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [id, req.user.id, name !== undefined ? String(name).trim() : null, kind, description, color,
+        archived === undefined ? null : Boolean(archived)]
+    );
+
+    if (!result.rowCount) return res.status(404).json({ error: "Project not found" });
+
+    const project = await pool.query(`${PROJECT_SELECT} WHERE p.id = $2 GROUP BY p.id, me.role`, [req.user.id, id]);
+    io.to(`project-${id}`).emit("project_updated", project.rows[0]);
+    res.json(project.rows[0]);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("PUT /projects/:id error:", error);
+    res.status(500).json({ error: "Failed to update project" });
+  }
+});
+
+app.post("/projects/:id/archive", authRequired, async (req, res) => {
+  try {
+    await requireProjectOwner(req.params.id, req.user.id);
+    const result = await pool.query(
+      "UPDATE projects SET archived = TRUE, archived_at = COALESCE(archived_at, NOW()), updated_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING *",
+      [req.params.id, req.user.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Project not found" });
+    io.to(`project-${req.params.id}`).emit("project_updated", result.rows[0]);
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("POST /projects/:id/archive error:", error);
+    res.status(500).json({ error: "Failed to archive project" });
+  }
+});
+
+app.post("/projects/:id/unarchive", authRequired, async (req, res) => {
+  try {
+    await requireProjectOwner(req.params.id, req.user.id);
+    const result = await pool.query(
+      "UPDATE projects SET archived = FALSE, archived_at = NULL, updated_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING *",
+      [req.params.id, req.user.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Project not found" });
+    io.to(`project-${req.params.id}`).emit("project_updated", result.rows[0]);
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("POST /projects/:id/unarchive error:", error);
+    res.status(500).json({ error: "Failed to unarchive project" });
+  }
+});
+
+// Deleting a project keeps its tasks; the foreign key sets their project_id to NULL,
+// which makes each one private to its creator again
+app.delete("/projects/:id", authRequired, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await requireProjectOwner(req.params.id, req.user.id, client);
+    await client.query("BEGIN");
+    // Personal tasks can only be assigned to their creator
+    await client.query(
+      "UPDATE tasks SET assigned_to = NULL WHERE project_id = $1 AND assigned_to <> user_id",
+      [req.params.id]
+    );
+    const result = await client.query("DELETE FROM projects WHERE id = $1 AND user_id = $2", [req.params.id, req.user.id]);
+    await client.query("COMMIT");
+    if (!result.rowCount) return res.status(404).json({ error: "Project not found" });
+
+    const room = `project-${req.params.id}`;
+    io.to(room).emit("project_deleted", { id: Number(req.params.id) });
+    io.in(room).socketsLeave(room);
+    res.json({ success: true });
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("DELETE /projects/:id error:", error);
+    res.status(500).json({ error: "Failed to delete project" });
+  } finally {
+    client.release();
+  }
+});
+
+// Project members API
+// Owners invite people by username as editors or viewers; the invitee joins
+// by accepting. Members can leave, the owner can remove them or change roles.
+// Every project has exactly one owner, so only the other roles can be given out
+const INVITE_ROLES = PROJECT_ROLES.filter(role => role !== 'owner');
+
+app.get("/projects/:id/members", authRequired, async (req, res) => {
+  try {
+    const role = await getProjectRole(req.params.id, req.user.id);
+    if (!role) return res.status(404).json({ error: "Project not found" });
+
+    const members = await pool.query(
+      `SELECT m.user_id, u.username, m.role, m.created_at
+       FROM project_members m JOIN users u ON u.id = m.user_id
+       WHERE m.project_id = $1
+       ORDER BY m.role = 'owner' DESC, u.username`,
+      [req.params.id]
+    );
+    // Pending invitations are only shown to the owner
+    const invitations = role === 'owner'
+      ? (await pool.query(
+        `SELECT i.id, i.user_id, u.username, i.role, i.created_at
+         FROM project_invitations i JOIN users u ON u.id = i.user_id
+         WHERE i.project_id = $1 AND i.status = 'pending'
+         ORDER BY i.created_at`,
+        [req.params.id]
+      )).rows
+      : [];
+    res.json({ members: members.rows, invitations });
+  } catch (err) {
+    console.error("GET /projects/:id/members error:", err);
+    res.status(500).json({ error: "Failed to fetch project members" });
+  }
+});
+
+app.post("/projects/:id/invitations", authRequired, async (req, res) => {
+  try {
+    const { username, role = 'editor' } = req.body;
+    if (!username || !String(username).trim()) return res.status(400).json({ error: "Username is required" });
+    if (!INVITE_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${INVITE_ROLES.join(", ")}` });
+    await requireProjectOwner(req.params.id, req.user.id);
+
+    const user = await pool.query("SELECT id, username FROM users WHERE username = $1", [String(username).trim()]);
+    if (!user.rowCount) return res.status(404).json({ error: "User not found" });
+    const invitee = user.rows[0];
+    if (await getProjectRole(req.params.id, invitee.id)) {
+      return res.status(409).json({ error: "User is already a member of this project" });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO project_invitations (project_id, user_id, invited_by, role)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (project_id, user_id) WHERE status = 'pending' DO NOTHING
+       RETURNING *`,
+      [req.params.id, invitee.id, req.user.id, role]
+    );
+    if (!result.rowCount) return res.status(409).json({ error: "User already has a pending invitation" });
+
+    const project = await pool.query("SELECT name FROM projects WHERE id = $1", [req.params.id]);
+    await createNotification({
+      userId: invitee.id,
+      actorId: req.user.id,
+      type: 'project_invitation',
+      data: {
+        invitation_id: result.rows[0].id,
+        project_id: Number(req.params.id),
+        project_name: project.rows[0].name,
+        role,
+        actor_username: req.user.username
+      }
+    });
+    res.status(201).json({ ...result.rows[0], username: invitee.username });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /projects/:id/invitations error:", err);
+    res.status(500).json({ error: "Failed to invite user" });
+  }
+});
+
+app.delete("/projects/:id/invitations/:invitationId", authRequired, async (req, res) => {
+  try {
+    await requireProjectOwner(req.params.id, req.user.id);
+    const result = await pool.query(
+      `UPDATE project_invitations SET status = 'revoked', responded_at = NOW()
+       WHERE id = $1 AND project_id = $2 AND status = 'pending'`,
+      [req.params.invitationId, req.params.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Invitation not found" });
+    res.json({ success: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("DELETE /projects/:id/invitations/:invitationId error:", err);
+    res.status(500).json({ error: "Failed to revoke invitation" });
+  }
+});
+
+// The caller's pending invitations
+app.get("/invitations", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT i.id, i.project_id, p.name AS project_name, i.role, i.created_at, u.username AS invited_by_username
+       FROM project_invitations i
+       JOIN projects p ON p.id = i.project_id
+       LEFT JOIN users u ON u.id = i.invited_by
+       WHERE i.user_id = $1 AND i.status = 'pending'
+       ORDER BY i.created_at DESC`,
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("GET /invitations error:", err);
+    res.status(500).json({ error: "Failed to fetch invitations" });
+  }
+});
+
+app.post("/invitations/:id/accept", authRequired, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const invitation = await client.query(
+      `UPDATE project_invitations SET status = 'accepted', responded_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status = 'pending'
+       RETURNING project_id, role`,
+      [req.params.id, req.user.id]
+    );
+    if (!invitation.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+    const { project_id: projectId, role } = invitation.rows[0];
+    await client.query(
+      "INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING",
+      [projectId, req.user.id, role]
+    );
+    await client.query("COMMIT");
+
+    // Start receiving the project's live updates on every open session
+    io.in(`user-${req.user.id}`).socketsJoin(`project-${projectId}`);
+    io.to(`project-${projectId}`).emit("project_member_added", { project_id: projectId, user_id: req.user.id, username: req.user.username, role });
+
+    const project = await pool.query(`${PROJECT_SELECT} WHERE p.id = $2 GROUP BY p.id, me.role`, [req.user.id, projectId]);
+    res.json(project.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("POST /invitations/:id/accept error:", err);
+    res.status(500).json({ error: "Failed to accept invitation" });
+  } finally {
+    client.release();
+  }
+});
+
+app.post("/invitations/:id/decline", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE project_invitations SET status = 'declined', responded_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status = 'pending'`,
+      [req.params.id, req.user.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Invitation not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("POST /invitations/:id/decline error:", err);
+    res.status(500).json({ error: "Failed to decline invitation" });
+  }
+});
+
+app.put("/projects/:id/members/:userId", authRequired, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!INVITE_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${INVITE_ROLES.join(", ")}` });
+    await requireProjectOwner(req.params.id, req.user.id);
+
+    const result = await pool.query(
+      `UPDATE project_members SET role = $3
+       WHERE project_id = $1 AND user_id = $2 AND role <> 'owner'
+       RETURNING project_id, user_id, role`,
+      [req.params.id, req.params.userId, role]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Member not found" });
+
+    io.to(`project-${req.params.id}`).emit("project_member_updated", result.rows[0]);
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("PUT /projects/:id/members/:userId error:", err);
+    res.status(500).json({ error: "Failed to update member" });
+  }
+});
+
+// The owner removes a member, or a member leaves. The owner cannot leave;
+// they delete the project instead. Tasks assigned to the departing member
+// are unassigned.
+app.delete("/projects/:id/members/:userId", authRequired, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const memberId = Number(req.params.userId);
+    if (memberId !== req.user.id) await requireProjectOwner(req.params.id, req.user.id, client);
+
+    await client.query("BEGIN");
+    const removed = await client.query(
+      "DELETE FROM project_members WHERE project_id = $1 AND user_id = $2 AND role <> 'owner' RETURNING user_id",
+      [req.params.id, memberId]
+    );
+    if (!removed.rowCount) {
+      await client.query("ROLLBACK");
+      const role = await getProjectRole(req.params.id, memberId);
+      return role === 'owner'
+        ? res.status(400).json({ error: "The owner cannot leave the project" })
+        : res.status(404).json({ error: "Member not found" });
+    }
+
+    const previous = await client.query(
+      "SELECT * FROM tasks WHERE project_id = $1 AND assigned_to = $2 FOR UPDATE",
+      [req.params.id, memberId]
+    );
+    const unassigned = await client.query(
+      "UPDATE tasks SET assigned_to = NULL, updated_at = NOW() WHERE id = ANY($1::int[]) RETURNING *",
+      [previous.rows.map(task => task.id)]
+    );
+    const before = new Map(previous.rows.map(task => [task.id, task]));
+    await logTaskChanges(client, req.user.id, unassigned.rows.map(task => ({ before: before.get(task.id), after: task })),
+      { source: 'members' });
+    await client.query("COMMIT");
+
+    const room = `project-${req.params.id}`;
+    io.in(`user-${memberId}`).socketsLeave(room);
+    io.to(`user-${memberId}`).emit("project_removed", { id: Number(req.params.id) });
+    io.to(room).emit("project_member_removed", { project_id: Number(req.params.id), user_id: memberId });
+    unassigned.rows.forEach(task => io.to(room).emit("task_updated", task));
+    res.json({ success: true, unassigned: unassigned.rowCount });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("DELETE /projects/:id/members/:userId error:", err);
+    res.status(500).json({ error: "Failed to remove member" });
+  } finally {
+    client.release();
+  }
+});
+
+// Time logs endpoint
+app.post("/time-logs", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { day, category, minutes } = req.body;
+
+    // Insert time log
+    const result = await pool.query(
+      "INSERT INTO time_logs (user_id, day, category, minutes) VALUES ($1, $2, $3, $4) RETURNING *",
+      [userId, day, category, minutes]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("Time logs error:", error);
+    res.status(500).json({ error: "Failed to create time log" });
+  }
+});
+
+// Time sessions endpoints for TimeTracker component
+app.get("/time-sessions", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Field names match frontend expectations
+    const body = await queryList(req, {
+      from: "time_sessions",
+      where: ["user_id = $1"],
+      values: [userId],
+      columns: {
+        id: "id",
+        type: "type",
+        description: "description",
+        startTime: "start_time",
+        endTime: "end_time",
+        duration: "duration",
+        createdAt: "created_at"
+      },
+      sorts: { start_time: "start_time" },
+      sort: "start_time",
+      order: "desc"
+    });
+    sendList(req, res, body);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Get time sessions error:", error);
+    res.status(500).json({ error: "Failed to fetch time sessions" });
+  }
+});
+
+app.post("/time-sessions", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { type, description, startTime, endTime, duration } = req.body;
+
+    // Validate required fields
+    if (!description || !startTime || !endTime || !duration) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    // Insert new time session
+    const result = await pool.query(
+      "INSERT INTO time_sessions (user_id, type, description, start_time, end_time, duration) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
+      [userId, type || 'work', description, startTime, endTime, duration]
+    );
+
+    // Format the response to match frontend expectations
+    const session = {
+      id: result.rows[0].id,
+      type: result.rows[0].type,
+      description: result.rows[0].description,
+      startTime: result.rows[0].start_time,
+      endTime: result.rows[0].end_time,
+      duration: result.rows[0].duration,
+      createdAt: result.rows[0].created_at
+    };
+
+    res.status(201).json(session);
+  } catch (error) {
+    console.error("Create time session error:", error);
+    res.status(500).json({ error: "Failed to create time session" });
+  }
+});
+
+// Statuses the older web client still sends: "done" and "completed" mean the
+// workflow's done status and "pending" its first column. The dashboard
+// reports its counts under the same names.
+const LEGACY_STATUS_ALIASES = { done: 'done', completed: 'done', pending: 'first' };
+
+function resolveStatusAlias(workflow, status) {
+  if (workflow.statuses.includes(status)) return status;
+  const alias = LEGACY_STATUS_ALIASES[status];
+  if (alias === 'done') return workflow.done_status;
+  if (alias === 'first') return workflow.statuses[0];
+  return status;
+}
+
+// Dashboard overview endpoint
+app.get("/dashboard/overview", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const today = new Date().toISOString().split('T')[0];
+    console.log(`Dashboard request for user ${userId} on ${today}`);
+
+    const workflow = await getWorkflow(userId);
+
+    // Get today's tasks per workflow status
+    const tasksToday = await pool.query(
+      "SELECT status, COUNT(*) as count FROM tasks WHERE user_id = $1 AND deleted_at IS NULL AND DATE(created_at) = $2 GROUP BY status",
+      [userId, today]
+    );
+
+    const taskStats = { total: 0 };
+    workflow.statuses.forEach(st => { taskStats[st] = 0; });
+
+    tasksToday.rows.forEach(row => {
+      const count = parseInt(row.count);
+      taskStats.total += count;
+      taskStats[row.status] = count;
+    });
+
+    // completed/done/pending are kept for older clients
+    const doneCount = taskStats[workflow.done_status];
+    Object.keys(LEGACY_STATUS_ALIASES).forEach(alias => {
+      taskStats[alias] = taskStats[resolveStatusAlias(workflow, alias)];
+    });
+    taskStats.goalPercent = taskStats.total > 0 ? Math.round((doneCount / taskStats.total) * 100) : 0;
+
+    // Get projects count
+    const projects = await pool.query(
+      "SELECT type, COUNT(*) as count FROM tasks WHERE user_id = $1 AND deleted_at IS NULL AND status <> $2 GROUP BY type",
+      [userId, workflow.done_status]
+    );
+    const projectStats = { office: 0, personal: 0 };
+    projects.rows.forEach(row => {
+      if (row.type === 'work') projectStats.office = parseInt(row.count);
+      if (row.type === 'learning') projectStats.personal = parseInt(row.count);
+    });
+
+    // Get overdue tasks
+    const overdue = await pool.query(
+      "SELECT COUNT(*) as count FROM tasks WHERE user_id = $1 AND deleted_at IS NULL AND status <> $3 AND due_date < $2",
+      [userId, today, workflow.done_status]
+    );
+
+    // Get time logs for today
+    const timeLogs = await pool.query(
+      "SELECT category, SUM(minutes) as minutes FROM time_logs WHERE user_id = $1 AND day = $2 GROUP BY category",
+      [userId, today]
+    );
+    const timeStats = { workMinutes: 0, learningMinutes: 0 };
+    timeLogs.rows.forEach(row => {
+      if (row.category === 'work') timeStats.workMinutes = parseInt(row.minutes) || 0;
+      if (row.category === 'learning') timeStats.learningMinutes = parseInt(row.minutes) || 0;
+    });
+
+    // Get task lists
+    const workTasks = await pool.query(
+      "SELECT * FROM tasks WHERE user_id = $1 AND deleted_at IS NULL AND type = 'work' AND status <> $2 ORDER BY created_at DESC LIMIT 10",
+      [userId, workflow.done_status]
+    );
+    const learningTasks = await pool.query(
+      "SELECT * FROM tasks WHERE user_id = $1 AND deleted_at IS NULL AND type = 'learning' AND status <> $2 ORDER BY created_at DESC LIMIT 10",
+      [userId, workflow.done_status]
+    );
+
+    res.json({
+      tasksToday: taskStats,
+      projects: projectStats,
+      overdue: parseInt(overdue.rows[0].count) || 0,
+      time: timeStats,
+      lists: {
+        work: workTasks.rows,
+        learning: learningTasks.rows
+      }
+    });
+  } catch (error) {
+    console.error("Dashboard overview error:", error.message);
+    console.error("Full error:", error);
     res.status(500).json({
-      success: false,
-      error: error.message
+      error: "Failed to fetch dashboard data",
+      details: error.message
     });
   }
 });
 
-// Simple network test endpoint for Android debugging
-app.get("/test-network", (req, res) => {
-  const clientIP = req.ip || req.connection.remoteAddress;
-  console.log(`📱 Network test request from: ${clientIP}`);
-  res.json({
-    success: true,
-    message: "Network connection successful!",
-    server: "http://192.168.1.2:3001",
-    clientIP: clientIP,
-    timestamp: new Date().toISOString()
-  });
+// Daily Goals endpoints
+app.get("/daily-goals", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    const result = await pool.query(
+      "SELECT * FROM daily_goals WHERE user_id = $1 AND date = $2 ORDER BY created_at DESC",
+      [userId, date]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Daily goals fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch daily goals" });
+  }
 });
 
-// Global error handler middleware
-app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({
-    error: "Internal server error",
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
+app.post("/daily-goals", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { title, description, category, priority, date } = req.body;
+
+    if (!title || !date) {
+      return res.status(400).json({ error: "Title and date are required" });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO daily_goals (user_id, title, description, category, priority, date)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [userId, title, description || '', category || 'personal', priority || 'medium', date]
+    );
+
+    await queueWebhookEvent(pool, userId, 'goal.created', { goal: result.rows[0] });
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("Daily goals create error:", error);
+    res.status(500).json({ error: "Failed to create daily goal" });
+  }
 });
 
-// Projects endpoint
-app.get("/projects", authRequired, async (req, res) => {
-  try {
-    const userId = req.user.id;
+app.put("/daily-goals/:id", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const goalId = req.params.id;
+    const { status, title, description, category, priority } = req.body;
+
+    // If changing to completed, set completed_at timestamp
+    const completedAt = status === 'completed' ? 'NOW()' : 'NULL';
+
+    const result = await pool.query(
+      `UPDATE daily_goals
+       SET status = COALESCE($3, status),
+           title = COALESCE($4, title),
+           description = COALESCE($5, description),
+           category = COALESCE($6, category),
+           priority = COALESCE($7, priority),
+           completed_at = ${status === 'completed' ? 'NOW()' : status === 'pending' ? 'NULL' : 'completed_at'},
+           updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [goalId, userId, status, title, description, category, priority]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Daily goal not found" });
+    }
 
-    // For now, return an empty array since projects table doesn't exist
-    // In the future, you could create a projects table and return real projects
-    res.json([]);
+    await queueWebhookEvent(pool, userId, 'goal.updated', { goal: result.rows[0] });
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error("Projects error:", error);
-    res.status(500).json({ error: "Failed to fetch projects" });
+    console.error("Daily goals update error:", error);
+    res.status(500).json({ error: "Failed to update daily goal" });
   }
 });
 
-// Time logs endpoint
-app.post("/time-logs", authRequired, async (req, res) => {
+app.delete("/daily-goals/:id", authRequired, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { day, category, minutes } = req.body;
-
-    // Create time_logs table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS time_logs (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id),
-        day DATE NOT NULL,
-        category VARCHAR(50) NOT NULL,
-        minutes INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    const goalId = req.params.id;
 
-    // Insert time log
     const result = await pool.query(
-      "INSERT INTO time_logs (user_id, day, category, minutes) VALUES ($1, $2, $3, $4) RETURNING *",
-      [userId, day, category, minutes]
+      "DELETE FROM daily_goals WHERE id = $1 AND user_id = $2 RETURNING *",
+      [goalId, userId]
     );
 
-    res.status(201).json(result.rows[0]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Daily goal not found" });
+    }
+
+    await queueWebhookEvent(pool, userId, 'goal.deleted', { goal: result.rows[0] });
+    res.json({ message: "Daily goal deleted successfully" });
   } catch (error) {
-    console.error("Time logs error:", error);
-    res.status(500).json({ error: "Failed to create time log" });
+    console.error("Daily goals delete error:", error);
+    res.status(500).json({ error: "Failed to delete daily goal" });
   }
 });
 
-// Time sessions endpoints for TimeTracker component
-app.get("/time-sessions", authRequired, async (req, res) => {
-  try {
-    const userId = req.user.id;
+// Calendar
+// Each user can have one secret feed URL (GET /calendar/<token>.ics) for
+// calendar apps to subscribe to. It lists open tasks as VTODOs and pending
+// daily goals as all-day VEVENTs. ?project_id= and ?type= narrow the tasks
+// (and leave goals out); ?category= applies to both.
+const CALENDAR_IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const CALENDAR_IMPORT_MAX_ITEMS = 1000;
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+function calendarFeedUrl(req, token) {
+  return `${req.protocol}://${req.get("host")}/calendar/${token}.ics`;
+}
 
-    // Create time_sessions table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS time_sessions (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id),
-        type VARCHAR(50) NOT NULL DEFAULT 'work',
-        description TEXT NOT NULL,
-        start_time TIMESTAMP NOT NULL,
-        end_time TIMESTAMP NOT NULL,
-        duration INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsTimestamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Content lines longer than 75 octets are folded onto continuation lines
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+function buildCalendar(name, tasks, goals) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//TaskFlow Pro//Tasks//EN', 'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH', `X-WR-CALNAME:${icsText(name)}`];
+
+  tasks.forEach(task => {
+    lines.push('BEGIN:VTODO', `UID:${task.ical_uid || `task-${task.id}@taskflow`}`, `DTSTAMP:${icsTimestamp(task.updated_at || task.created_at)}`,
+      `SUMMARY:${icsText(task.title)}`);
+    if (task.description) lines.push(`DESCRIPTION:${icsText(task.description)}`);
+    if (task.due_day) lines.push(task.due_clock ? `DUE:${task.due_day}T${task.due_clock}` : `DUE;VALUE=DATE:${task.due_day}`);
+    lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority] || 0}`, 'STATUS:NEEDS-ACTION',
+      `CATEGORIES:${[task.category, task.type, task.project_name].filter(Boolean).map(icsText).join(',')}`, 'END:VTODO');
+  });
+
+  goals.forEach(goal => {
+    lines.push('BEGIN:VEVENT', `UID:goal-${goal.id}@taskflow`, `DTSTAMP:${icsTimestamp(goal.updated_at || goal.created_at)}`,
+      `DTSTART;VALUE=DATE:${goal.start_day}`, `DTEND;VALUE=DATE:${goal.end_day}`, `SUMMARY:${icsText(goal.title)}`);
+    if (goal.description) lines.push(`DESCRIPTION:${icsText(goal.description)}`);
+    lines.push(`PRIORITY:${ICS_PRIORITIES[goal.priority] || 0}`, `CATEGORIES:${icsText(goal.category)}`, 'TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// GET /calendar/feed - whether a feed URL exists (the token itself is only
+// shown when it is created)
+app.get("/calendar/feed", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query("SELECT created_at, last_accessed_at FROM calendar_feeds WHERE user_id = $1", [req.user.id]);
+    res.json(result.rows[0] ? { enabled: true, ...result.rows[0] } : { enabled: false });
+  } catch (err) {
+    console.error("GET /calendar/feed error:", err);
+    res.status(500).json({ error: "Failed to fetch calendar feed" });
+  }
+});
 
-    // Get all time sessions for user
+// POST /calendar/feed - create the feed URL, or replace it so the old one stops working
+app.post("/calendar/feed", authRequired, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString("base64url");
     const result = await pool.query(
-      "SELECT * FROM time_sessions WHERE user_id = $1 ORDER BY start_time DESC",
-      [userId]
+      `INSERT INTO calendar_feeds (user_id, token_hash) VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET token_hash = EXCLUDED.token_hash, created_at = NOW(), last_accessed_at = NULL
+       RETURNING created_at`,
+      [req.user.id, hashToken(token)]
     );
+    res.status(201).json({ token, url: calendarFeedUrl(req, token), created_at: result.rows[0].created_at });
+  } catch (err) {
+    console.error("POST /calendar/feed error:", err);
+    res.status(500).json({ error: "Failed to create calendar feed" });
+  }
+});
 
-    // Format the response to match frontend expectations
-    const sessions = result.rows.map(session => ({
-      id: session.id,
-      type: session.type,
-      description: session.description,
-      startTime: session.start_time,
-      endTime: session.end_time,
-      duration: session.duration,
-      createdAt: session.created_at
-    }));
-
-    res.json(sessions);
-  } catch (error) {
-    console.error("Get time sessions error:", error);
-    res.status(500).json({ error: "Failed to fetch time sessions" });
+app.delete("/calendar/feed", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM calendar_feeds WHERE user_id = $1", [req.user.id]);
+    if (!result.rowCount) return res.status(404).json({ error: "No calendar feed" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /calendar/feed error:", err);
+    res.status(500).json({ error: "Failed to delete calendar feed" });
   }
 });
 
-app.post("/time-sessions", authRequired, async (req, res) => {
+// GET /calendar/:token.ics?project_id=&type=&category= (no auth header; the token is the credential)
+app.get("/calendar/:token.ics", async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { type, description, startTime, endTime, duration } = req.body;
+    const feed = await pool.query(
+      `UPDATE calendar_feeds f SET last_accessed_at = NOW() FROM users u
+       WHERE f.token_hash = $1 AND u.id = f.user_id
+       RETURNING f.user_id, u.username`,
+      [hashToken(req.params.token)]
+    );
+    if (!feed.rowCount) return res.status(404).json({ error: "Calendar not found" });
+    const { user_id: userId, username } = feed.rows[0];
+    const { project_id, type, category } = req.query;
 
-    // Validate required fields
-    if (!description || !startTime || !endTime || !duration) {
-      return res.status(400).json({ error: "Missing required fields" });
+    const where = [taskAccessSql('tasks', '$1'), `tasks.status <> ${doneStatusSql('tasks.user_id')}`];
+    const values = [userId];
+    if (project_id) {
+      if (!Number.isInteger(Number(project_id)) || Math.abs(Number(project_id)) > 2147483647) {
+        return res.status(400).json({ error: "project_id must be an integer" });
+      }
+      values.push(Number(project_id));
+      where.push(`tasks.project_id = $${values.length}`);
+    }
+    if (type) {
+      values.push(type);
+      where.push(`tasks.type = $${values.length}`);
+    }
+    if (category) {
+      values.push(category);
+      where.push(`tasks.category = $${values.length}`);
     }
 
-    // Create time_sessions table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS time_sessions (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id),
-        type VARCHAR(50) NOT NULL DEFAULT 'work',
-        description TEXT NOT NULL,
-        start_time TIMESTAMP NOT NULL,
-        end_time TIMESTAMP NOT NULL,
-        duration INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    const [tasks, goals] = await Promise.all([
+      pool.query(
+        `SELECT tasks.*, ${TASK_COMPUTED_FIELDS.project_name} AS project_name,
+                to_char(tasks.due_date, 'YYYYMMDD') AS due_day, to_char(tasks.due_time, 'HH24MISS') AS due_clock
+         FROM tasks WHERE ${where.join(" AND ")}
+         ORDER BY tasks.due_date NULLS LAST, tasks.id`,
+        values
+      ),
+      project_id || type ? { rows: [] } : pool.query(
+        `SELECT *, to_char(date, 'YYYYMMDD') AS start_day, to_char(date + 1, 'YYYYMMDD') AS end_day
+         FROM daily_goals WHERE user_id = $1 AND status <> 'completed' AND ($2::text IS NULL OR category = $2)
+         ORDER BY date, id`,
+        [userId, category || null]
       )
-    `);
+    ]);
 
-    // Insert new time session
-    const result = await pool.query(
-      "INSERT INTO time_sessions (user_id, type, description, start_time, end_time, duration) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-      [userId, type || 'work', description, startTime, endTime, duration]
-    );
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="taskflow.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(buildCalendar(`TaskFlow - ${username}`, tasks.rows, goals.rows));
+  } catch (err) {
+    console.error("GET /calendar/:token.ics error:", err);
+    res.status(500).json({ error: "Failed to build calendar" });
+  }
+});
 
-    // Format the response to match frontend expectations
-    const session = {
-      id: result.rows[0].id,
-      type: result.rows[0].type,
-      description: result.rows[0].description,
-      startTime: result.rows[0].start_time,
-      endTime: result.rows[0].end_time,
-      duration: result.rows[0].duration,
-      createdAt: result.rows[0].created_at
-    };
+// Splits an iCalendar file into its components, innermost first:
+// [{ type: 'VTODO', props: { SUMMARY: [{ params, value }] } }]
+function parseIcs(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const components = [];
+  const stack = [];
+  for (const line of lines) {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:]*?)?):(.*)$/);
+    if (!match) continue;
+    const name = match[1].toUpperCase();
+    const value = match[3];
+    if (name === 'BEGIN') {
+      stack.push({ type: value.trim().toUpperCase(), props: {} });
+    } else if (name === 'END') {
+      if (stack.length) components.push(stack.pop());
+    } else if (stack.length) {
+      const params = {};
+      match[2].split(';').slice(1).forEach(param => {
+        const [key, ...rest] = param.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+      });
+      const props = stack[stack.length - 1].props;
+      (props[name] = props[name] || []).push({ params, value });
+    }
+  }
+  return components;
+}
 
-    res.status(201).json(session);
-  } catch (error) {
-    console.error("Create time session error:", error);
-    res.status(500).json({ error: "Failed to create time session" });
+function icsUnescape(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+// DATE or DATE-TIME property -> { date, time }. Floating and TZID times are
+// kept as written; UTC times are converted to the server's local time.
+function parseIcsDate(prop) {
+  const match = prop && prop.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, sec, utc] = match;
+  if (!h) return { date: `${y}-${mo}-${d}`, time: null };
+  if (!utc) return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}:${sec}` };
+  return localDateParts(new Date(Date.UTC(y, mo - 1, d, h, mi, sec)));
+}
+
+// An instant as the server's local { date: 'YYYY-MM-DD', time: 'HH:MM:SS' }
+function localDateParts(instant) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    date: `${instant.getFullYear()}-${pad(instant.getMonth() + 1)}-${pad(instant.getDate())}`,
+    time: `${pad(instant.getHours())}:${pad(instant.getMinutes())}:${pad(instant.getSeconds())}`
+  };
+}
+
+// Maps a VTODO or VEVENT to { uid, fields }, or { uid, skip: reason }
+function icsComponentToTask(component) {
+  const prop = (name) => (component.props[name] || [])[0];
+  const uid = prop('UID') ? prop('UID').value.trim() : null;
+  const title = prop('SUMMARY') && icsUnescape(prop('SUMMARY').value).trim();
+  if (!title) return { uid, skip: "Missing SUMMARY" };
+  const status = prop('STATUS') && prop('STATUS').value.trim().toUpperCase();
+  if (status === 'COMPLETED' || status === 'CANCELLED') return { uid, skip: `Status is ${status}` };
+
+  const due = parseIcsDate(component.type === 'VTODO' ? prop('DUE') || prop('DTSTART') : prop('DTSTART'));
+  const priority = Number(prop('PRIORITY') && prop('PRIORITY').value);
+  const recurrence = prop('RRULE') ? parseRecurrence(prop('RRULE').value).rule || null : null;
+  return {
+    uid,
+    fields: {
+      title: title.slice(0, 500),
+      description: prop('DESCRIPTION') ? icsUnescape(prop('DESCRIPTION').value) : null,
+      due_date: due ? due.date : null,
+      due_time: due ? due.time : null,
+      priority: priority >= 1 && priority <= 4 ? 'high' : priority >= 6 && priority <= 9 ? 'low' : 'medium',
+      recurrence: recurrence && due ? recurrence : null
+    }
+  };
+}
+
+// POST /calendar/import?project_id= - upload an .ics file (multipart "file"
+// field, a text/calendar body, or JSON { ics }). Every VTODO and VEVENT
+// becomes a task; items already imported under the same UID are updated.
+// The import is one batch, so POST /tasks/undo reverts it.
+app.post("/calendar/import", authRequired, async (req, res) => {
+  let client;
+  try {
+    const text = req.is('application/json')
+      ? String(req.body.ics || '')
+      : await receiveTextUpload(req, CALENDAR_IMPORT_MAX_BYTES);
+    if (!/^BEGIN:VCALENDAR/im.test(text)) return res.status(400).json({ error: "Not an iCalendar file" });
+
+    const items = parseIcs(text).filter(component => ['VTODO', 'VEVENT'].includes(component.type));
+    if (!items.length) return res.status(400).json({ error: "The calendar has no events or to-dos" });
+    if (items.length > CALENDAR_IMPORT_MAX_ITEMS) {
+      return res.status(400).json({ error: `At most ${CALENDAR_IMPORT_MAX_ITEMS} items can be imported at once` });
+    }
+
+    const projectId = await resolveTaskProject(req.user.id, req.query.project_id ?? req.body.project_id) ?? null;
+    const workflow = await getWorkflow(req.user.id);
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+    const results = [];
+    const changes = [];
+    for (const component of items) {
+      const item = icsComponentToTask(component);
+      if (item.skip) {
+        results.push({ uid: item.uid, ok: false, error: item.skip });
+        continue;
+      }
+      const { uid, fields } = item;
+      const existing = uid
+        ? (await client.query("SELECT * FROM tasks WHERE user_id = $1 AND ical_uid = $2 FOR UPDATE", [req.user.id, uid])).rows[0]
+        : null;
+
+      if (existing && existing.deleted_at) {
+        results.push({ uid, id: existing.id, ok: false, error: "Task is in the trash" });
+      } else if (existing) {
+        const before = { ...existing, due_date: historyValue(existing.due_date) };
+        const changed = Object.keys(fields).filter(field =>
+          JSON.stringify(fields[field] ?? null) !== JSON.stringify(before[field] ?? null));
+        const task = changed.length
+          ? await applyTaskFields(client, existing.id, Object.fromEntries(changed.map(field => [field, fields[field]])))
+          : existing;
+        if (changed.length) changes.push({ before: existing, after: task });
+        results.push({ uid, id: task.id, ok: true, action: changed.length ? 'updated' : 'unchanged' });
+      } else {
+        const status = workflow.statuses[0];
+        const created = await client.query(
+          `INSERT INTO tasks (title, status, description, priority, due_date, due_time, category, type, project_id, user_id, recurrence, rank, ical_uid)
+           VALUES ($1, $2, $3, $4, $5, $6, 'own', 'work', $7, $8, $9, $10, $11) RETURNING *`,
+          [fields.title, status, fields.description, fields.priority, fields.due_date, fields.due_time, projectId, req.user.id,
+            fields.recurrence ? JSON.stringify(fields.recurrence) : null, await nextRankInColumn(req.user.id, status, client), uid]
+        );
+        changes.push({ before: null, after: created.rows[0] });
+        results.push({ uid, id: created.rows[0].id, ok: true, action: 'created' });
+      }
+    }
+
+    const batchId = crypto.randomUUID();
+    await logTaskChanges(client, req.user.id, changes, { source: 'calendar-import', batchId });
+    await client.query("COMMIT");
+    changes.forEach(emitTaskChange);
+
+    const count = (action) => results.filter(result => result.action === action).length;
+    res.json({
+      batch_id: changes.length ? batchId : null,
+      created: count('created'),
+      updated: count('updated'),
+      unchanged: count('unchanged'),
+      skipped: results.filter(result => !result.ok).length,
+      results
+    });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /calendar/import error:", err);
+    res.status(500).json({ error: "Failed to import calendar" });
+  } finally {
+    if (client) client.release();
   }
 });
 
-// Dashboard overview endpoint
-app.get("/dashboard/overview", authRequired, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
-    console.log(`Dashboard request for user ${userId} on ${today}`);
+// Reminders
+// A reminder fires `minutes_before` the task's due time; tasks without a
+// due_time count as due at REMINDER_ALL_DAY_TIME. Due times are wall-clock
+// times in the database's time zone. A background sweep claims due rows with
+// FOR UPDATE SKIP LOCKED, so several server instances can run it side by side.
+const REMINDER_ALL_DAY_TIME = process.env.REMINDER_ALL_DAY_TIME || '09:00';
+const REMINDER_POLL_SECONDS = Number(process.env.REMINDER_POLL_SECONDS || 30);
+const REMINDER_MAX_ATTEMPTS = 5;
+const REMINDER_BATCH_SIZE = 10;
+const REMINDER_DELIVER_TIMEOUT_MS = 10000;
+// Deliveries in a batch run one after another, so the claim has to outlast all of them
+const REMINDER_LOCK_SECONDS = REMINDER_BATCH_SIZE * REMINDER_DELIVER_TIMEOUT_MS / 1000 + 30;
+const REMINDER_MAX_MINUTES = 60 * 24 * 60;
+const REMINDER_STATUSES = ['pending', 'sent', 'dismissed', 'skipped', 'failed'];
+const REMINDER_UNITS = { m: 1, h: 60, d: 60 * 24, w: 60 * 24 * 7 };
+
+// When a reminder on task row `task` fires; NULL while the task has no due date
+function reminderTimeSql(task, minutes, allDayParam) {
+  return `CASE WHEN ${task}.due_date IS NULL THEN NULL
+    ELSE (${task}.due_date + COALESCE(${task}.due_time, ${allDayParam}::time))::timestamptz - make_interval(mins => ${minutes}) END`;
+}
 
-    // Get today's tasks with new workflow statuses
-    const tasksToday = await pool.query(
-      "SELECT status, COUNT(*) as count FROM tasks WHERE user_id = $1 AND DATE(created_at) = $2 GROUP BY status",
-      [userId, today]
-    );
+// Accepts minutes as a number or a string such as "15m", "2h", "1d", "1w"
+function parseReminderOffset(value) {
+  const match = String(value ?? '').trim().match(/^(\d+)\s*([mhdw]?)$/i);
+  const minutes = match ? Number(match[1]) * REMINDER_UNITS[(match[2] || 'm').toLowerCase()] : NaN;
+  return Number.isInteger(minutes) && minutes <= REMINDER_MAX_MINUTES ? minutes : null;
+}
 
-    const taskStats = {
-      total: 0,
-      learning: 0,
-      working: 0,
-      testing: 0,
-      completed: 0,
-      // Legacy support
-      done: 0,
-      pending: 0
-    };
+function reminderText(task) {
+  if (!task.due_day) return `"${task.title}" is coming up`;
+  return `"${task.title}" is due ${task.due_day}${task.due_clock ? ` at ${task.due_clock}` : ''}`;
+}
 
-    tasksToday.rows.forEach(row => {
-      const count = parseInt(row.count);
-      taskStats.total += count;
+// Recomputes remind_at after a task's due date or time changed. Reminders
+// that already went out are re-armed only if their new time is still ahead.
+async function rescheduleReminders(db, taskIds) {
+  const remindAt = reminderTimeSql('t', 'r.minutes_before', '$2');
+  await db.query(
+    `UPDATE task_reminders r
+     SET remind_at = ${remindAt}, status = 'pending', attempts = 0, locked_until = NULL,
+         last_error = NULL, snoozed = FALSE, sent_at = NULL, updated_at = NOW()
+     FROM tasks t
+     WHERE t.id = r.task_id AND r.task_id = ANY($1::int[]) AND r.status <> 'dismissed'
+       AND (${remindAt}) IS DISTINCT FROM r.remind_at
+       AND (r.status = 'pending' OR ${remindAt} > NOW())`,
+    [taskIds.map(Number), REMINDER_ALL_DAY_TIME]
+  );
+}
 
-      // New workflow statuses
-      if (row.status === 'learning') taskStats.learning = count;
-      if (row.status === 'working') taskStats.working = count;
-      if (row.status === 'testing') taskStats.testing = count;
-      if (row.status === 'completed') taskStats.completed = count;
+const REMINDER_SELECT = `
+  SELECT r.id, r.task_id, r.minutes_before, r.remind_at, r.status, r.snoozed, r.attempts, r.last_error,
+         r.sent_at, r.created_at, r.updated_at, t.title AS task_title,
+         to_char(t.due_date, 'YYYY-MM-DD') AS due_date, to_char(t.due_time, 'HH24:MI') AS due_time
+  FROM task_reminders r JOIN tasks t ON t.id = r.task_id
+`;
 
-      // Legacy status mapping for backward compatibility
-      if (row.status === 'completed' || row.status === 'done') taskStats.done += count;
-      if (row.status === 'learning' || row.status === 'pending') taskStats.pending += count;
-    });
+// GET /reminders?status=pending - the caller's reminders, soonest first
+app.get("/reminders", authRequired, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !REMINDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REMINDER_STATUSES.join(", ")}` });
+    }
+    const result = await pool.query(
+      `${REMINDER_SELECT}
+       WHERE r.user_id = $1 AND ($2::text IS NULL OR r.status = $2) AND ${taskAccessSql('t', '$1')}
+       ORDER BY r.remind_at NULLS LAST, r.id`,
+      [req.user.id, status || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("GET /reminders error:", err);
+    res.status(500).json({ error: "Failed to fetch reminders" });
+  }
+});
 
-    taskStats.goalPercent = taskStats.total > 0 ? Math.round((taskStats.completed / taskStats.total) * 100) : 0;
+app.get("/tasks/:id/reminders", authRequired, async (req, res) => {
+  try {
+    await requireTask(req.params.id, req.user.id);
+    const result = await pool.query(
+      `${REMINDER_SELECT} WHERE r.task_id = $1 AND r.user_id = $2 ORDER BY r.minutes_before DESC`,
+      [req.params.id, req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /tasks/:id/reminders error:", err);
+    res.status(500).json({ error: "Failed to fetch reminders" });
+  }
+});
 
-    // Get projects count
-    const projects = await pool.query(
-      "SELECT type, COUNT(*) as count FROM tasks WHERE user_id = $1 AND status NOT IN ('done', 'completed') GROUP BY type",
-      [userId]
+// POST /tasks/:id/reminders { before } - before is minutes or "15m", "1h", "1d", "1w".
+// Anyone who can see the task can set their own reminders on it.
+app.post("/tasks/:id/reminders", authRequired, async (req, res) => {
+  try {
+    const minutes = parseReminderOffset(req.body.before);
+    if (minutes === null) {
+      return res.status(400).json({ error: `before must be minutes or a duration like 15m, 2h, 1d, 1w (at most ${REMINDER_MAX_MINUTES} minutes)` });
+    }
+    const { task } = await requireTask(req.params.id, req.user.id);
+    const created = await pool.query(
+      `INSERT INTO task_reminders (task_id, user_id, minutes_before, remind_at)
+       SELECT t.id, $2, $3, ${reminderTimeSql('t', '$3', '$4')} FROM tasks t WHERE t.id = $1
+       ON CONFLICT (task_id, user_id, minutes_before) DO NOTHING
+       RETURNING id`,
+      [task.id, req.user.id, minutes, REMINDER_ALL_DAY_TIME]
     );
-    const projectStats = { office: 0, personal: 0 };
-    projects.rows.forEach(row => {
-      if (row.type === 'work') projectStats.office = parseInt(row.count);
-      if (row.type === 'learning') projectStats.personal = parseInt(row.count);
-    });
+    if (!created.rowCount) return res.status(409).json({ error: "That reminder already exists" });
+    const result = await pool.query(`${REMINDER_SELECT} WHERE r.id = $1`, [created.rows[0].id]);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /tasks/:id/reminders error:", err);
+    res.status(500).json({ error: "Failed to create reminder" });
+  }
+});
 
-    // Get overdue tasks
-    const overdue = await pool.query(
-      "SELECT COUNT(*) as count FROM tasks WHERE user_id = $1 AND status NOT IN ('done', 'completed') AND due_date < $2",
-      [userId, today]
+app.delete("/tasks/:id/reminders/:reminderId", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM task_reminders WHERE id = $1 AND task_id = $2 AND user_id = $3",
+      [req.params.reminderId, req.params.id, req.user.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Reminder not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /tasks/:id/reminders/:reminderId error:", err);
+    res.status(500).json({ error: "Failed to delete reminder" });
+  }
+});
+
+// POST /reminders/:id/snooze { minutes } - fire again later (default 10 minutes)
+app.post("/reminders/:id/snooze", authRequired, async (req, res) => {
+  try {
+    const minutes = req.body.minutes === undefined ? 10 : parseReminderOffset(req.body.minutes);
+    if (!minutes) return res.status(400).json({ error: "minutes must be a positive duration like 10, 30m or 1h" });
+    const result = await pool.query(
+      `UPDATE task_reminders
+       SET remind_at = NOW() + make_interval(mins => $3), status = 'pending', snoozed = TRUE,
+           attempts = 0, locked_until = NULL, last_error = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status <> 'dismissed'
+       RETURNING id`,
+      [req.params.id, req.user.id, minutes]
     );
+    if (!result.rowCount) return res.status(404).json({ error: "Reminder not found" });
+    const reminder = await pool.query(`${REMINDER_SELECT} WHERE r.id = $1`, [req.params.id]);
+    res.json(reminder.rows[0]);
+  } catch (err) {
+    console.error("POST /reminders/:id/snooze error:", err);
+    res.status(500).json({ error: "Failed to snooze reminder" });
+  }
+});
 
-    // Get time logs for today
-    const timeLogs = await pool.query(
-      "SELECT category, SUM(minutes) as minutes FROM time_logs WHERE user_id = $1 AND day = $2 GROUP BY category",
-      [userId, today]
+// POST /reminders/:id/dismiss - stop the reminder for good
+app.post("/reminders/:id/dismiss", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE task_reminders SET status = 'dismissed', locked_until = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 RETURNING id`,
+      [req.params.id, req.user.id]
     );
-    const timeStats = { workMinutes: 0, learningMinutes: 0 };
-    timeLogs.rows.forEach(row => {
-      if (row.category === 'work') timeStats.workMinutes = parseInt(row.minutes) || 0;
-      if (row.category === 'learning') timeStats.learningMinutes = parseInt(row.minutes) || 0;
+    if (!result.rowCount) return res.status(404).json({ error: "Reminder not found" });
+    const reminder = await pool.query(`${REMINDER_SELECT} WHERE r.id = $1`, [req.params.id]);
+    res.json(reminder.rows[0]);
+  } catch (err) {
+    console.error("POST /reminders/:id/dismiss error:", err);
+    res.status(500).json({ error: "Failed to dismiss reminder" });
+  }
+});
+
+// Delivers one claimed reminder: the socket event goes out on the first
+// attempt, the transport is retried with backoff until it succeeds
+async function deliverReminder(reminder) {
+  const result = await pool.query(
+    `SELECT t.id, t.title, t.status, t.project_id, to_char(t.due_date, 'YYYY-MM-DD') AS due_day,
+            to_char(t.due_time, 'HH24:MI') AS due_clock, u.id AS user_id, u.username, u.email
+     FROM tasks t, users u WHERE t.id = $1 AND u.id = $2`,
+    [reminder.task_id, reminder.user_id]
+  );
+  if (!result.rowCount) return;
+  const { user_id: userId, username, email, ...task } = result.rows[0];
+  const user = { id: userId, username, email };
+
+  if (reminder.attempts === 1) {
+    io.to(`user-${userId}`).emit("task_reminder", {
+      reminder_id: reminder.id,
+      task_id: task.id,
+      title: task.title,
+      due_date: task.due_day,
+      due_time: task.due_clock,
+      minutes_before: reminder.minutes_before,
+      snoozed: reminder.snoozed,
+      remind_at: reminder.remind_at
     });
+  }
 
-    // Get task lists
-    const workTasks = await pool.query(
-      "SELECT * FROM tasks WHERE user_id = $1 AND type = 'work' AND status NOT IN ('done', 'completed') ORDER BY created_at DESC LIMIT 10",
-      [userId]
+  let timer;
+  try {
+    await Promise.race([
+      reminderTransport.deliver({ user, task, reminder }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${REMINDER_DELIVER_TIMEOUT_MS}ms`)), REMINDER_DELIVER_TIMEOUT_MS);
+      })
+    ]);
+    await pool.query(
+      `UPDATE task_reminders SET status = 'sent', sent_at = NOW(), locked_until = NULL, last_error = NULL, updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'`,
+      [reminder.id]
     );
-    const learningTasks = await pool.query(
-      "SELECT * FROM tasks WHERE user_id = $1 AND type = 'learning' AND status NOT IN ('done', 'completed') ORDER BY created_at DESC LIMIT 10",
-      [userId]
+  } catch (err) {
+    const failed = reminder.attempts >= REMINDER_MAX_ATTEMPTS;
+    console.error(`Reminder ${reminder.id} delivery failed (attempt ${reminder.attempts}):`, err.message);
+    await pool.query(
+      `UPDATE task_reminders
+       SET status = CASE WHEN $2 THEN 'failed' ELSE status END, last_error = $3,
+           locked_until = NOW() + make_interval(mins => $4), updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'`,
+      [reminder.id, failed, String(err.message || err), reminder.attempts ** 2]
     );
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    res.json({
-      tasksToday: taskStats,
-      projects: projectStats,
-      overdue: parseInt(overdue.rows[0].count) || 0,
-      time: timeStats,
-      lists: {
-        work: workTasks.rows,
-        learning: learningTasks.rows
-      }
-    });
-  } catch (error) {
-    console.error("Dashboard overview error:", error.message);
-    console.error("Full error:", error);
-    res.status(500).json({
-      error: "Failed to fetch dashboard data",
-      details: error.message
+// One scheduler pass. Reminders on finished tasks (or tasks the user can no
+// longer see) are skipped; trashed tasks keep theirs until restored or purged.
+let reminderSweepRunning = false;
+async function runReminderSweep() {
+  if (reminderSweepRunning) return;
+  reminderSweepRunning = true;
+  try {
+    await pool.query(
+      `UPDATE task_reminders r SET status = 'skipped', updated_at = NOW()
+       FROM tasks t
+       WHERE t.id = r.task_id AND r.status = 'pending' AND r.remind_at <= NOW() AND t.deleted_at IS NULL
+         AND (t.status = ${doneStatusSql('t.user_id')} OR NOT ${taskAccessSql('t', 'r.user_id')})`
+    );
+
+    let claimed;
+    do {
+      claimed = await pool.query(
+        `UPDATE task_reminders r
+         SET locked_until = NOW() + make_interval(secs => $2), attempts = r.attempts + 1, updated_at = NOW()
+         WHERE r.id IN (
+           SELECT due.id FROM task_reminders due JOIN tasks t ON t.id = due.task_id
+           WHERE due.status = 'pending' AND due.remind_at <= NOW() AND t.deleted_at IS NULL
+             AND (due.locked_until IS NULL OR due.locked_until <= NOW())
+           ORDER BY due.remind_at
+           LIMIT $1
+           FOR UPDATE OF due SKIP LOCKED
+         )
+         RETURNING r.*`,
+        [REMINDER_BATCH_SIZE, REMINDER_LOCK_SECONDS]
+      );
+      for (const reminder of claimed.rows) await deliverReminder(reminder);
+    } while (claimed.rowCount === REMINDER_BATCH_SIZE);
+  } catch (err) {
+    console.error("Reminder sweep error:", err);
+  } finally {
+    reminderSweepRunning = false;
+  }
+}
+
+// Webhooks
+// Users register URLs and subscribe them to events ("task.updated", "note.*"
+// or "*"). Events are queued in webhook_deliveries in the same transaction as
+// the change and POSTed by a background sweep, retried with exponential backoff.
+// Each request is signed: X-TaskFlow-Signature is "sha256=" + the hex
+// HMAC-SHA256 of "<X-TaskFlow-Timestamp>.<raw body>" keyed with the secret.
+const WEBHOOK_EVENTS = ['task', 'note', 'pr', 'goal'].flatMap(type =>
+  ['created', 'updated', 'deleted'].map(action => `${type}.${action}`));
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_POLL_SECONDS = Number(process.env.WEBHOOK_POLL_SECONDS || 10);
+const WEBHOOK_LOG_RETENTION_DAYS = 30;
+const WEBHOOK_PUBLIC_COLUMNS = "id, url, events, description, active, created_at, updated_at";
+// Set WEBHOOK_ALLOW_PRIVATE_URLS=true to deliver to local receivers during development
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// unspecified ranges; IPv4-mapped IPv6 addresses are matched too
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function validateWebhook({ url, events }, partial = false) {
+  if (!partial || url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(String(url));
+    } catch (_e) {
+      return "url must be an absolute http(s) URL";
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return "url must be an absolute http(s) URL";
+  }
+  if (!partial || events !== undefined) {
+    const wildcards = ['*', ...new Set(WEBHOOK_EVENTS.map(event => `${event.split('.')[0]}.*`))];
+    if (!Array.isArray(events) || !events.length || events.some(event => !WEBHOOK_EVENTS.includes(event) && !wildcards.includes(event))) {
+      return `events must be a non-empty array of: ${[...wildcards, ...WEBHOOK_EVENTS].join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// Resolves the webhook host and refuses it when any address is internal.
+// Checked when a URL is saved and again before every delivery, since DNS can change.
+async function checkWebhookTarget(url) {
+  if (WEBHOOK_ALLOW_PRIVATE_URLS) return null;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+  } catch (_e) {
+    return `url host ${host} could not be resolved`;
+  }
+  if (addresses.some(({ address, family }) => WEBHOOK_BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    return "url must not point to a loopback, private or link-local address";
+  }
+  return null;
+}
+
+function webhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+// Queues events for the matching webhooks. events: [{ event, userId, projectId?, data }].
+// Project events go to the webhooks of every member of the project.
+async function queueWebhookEvents(db, events) {
+  if (!events.length) return;
+  const createdAt = new Date().toISOString();
+  await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT w.id, e.event, e.payload
+     FROM jsonb_to_recordset($1::jsonb) AS e(event TEXT, user_id INTEGER, project_id INTEGER, payload JSONB)
+     JOIN webhooks w ON w.active AND (
+       (e.project_id IS NULL AND w.user_id = e.user_id)
+       OR w.user_id IN (SELECT pm.user_id FROM project_members pm WHERE pm.project_id = e.project_id)
+     )
+     WHERE e.event = ANY(w.events) OR split_part(e.event, '.', 1) || '.*' = ANY(w.events) OR '*' = ANY(w.events)`,
+    [JSON.stringify(events.map(({ event, userId, projectId = null, data }) => ({
+      event, user_id: userId, project_id: projectId, payload: { event, created_at: createdAt, data }
+    })))]
+  );
+}
+
+function queueWebhookEvent(db, userId, event, data) {
+  return queueWebhookEvents(db, [{ event, userId, data }]);
+}
+
+// POSTs one claimed delivery and records the outcome. Failed attempts are
+// retried after 30s, 1m, 2m, ... until WEBHOOK_MAX_ATTEMPTS is reached.
+async function sendWebhookDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac("sha256", delivery.secret).update(`${timestamp}.${body}`).digest("hex");
+  const started = Date.now();
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    const blocked = await checkWebhookTarget(delivery.url);
+    if (blocked) throw new Error(blocked);
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TaskFlow-Webhooks/1.0',
+        'X-TaskFlow-Event': delivery.event,
+        'X-TaskFlow-Delivery': String(delivery.id),
+        'X-TaskFlow-Timestamp': timestamp,
+        'X-TaskFlow-Signature': `sha256=${signature}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
     });
+    responseStatus = response.status;
+    // Only the status is kept; receiver responses are never shown back to the user
+    await response.body?.cancel();
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : String(err.cause?.message || err.message);
   }
-});
 
-// Daily Goals endpoints
-app.get("/daily-goals", authRequired, async (req, res) => {
+  const result = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = CASE WHEN $2::text IS NULL THEN 'succeeded' WHEN attempts >= $6 THEN 'failed' ELSE 'pending' END,
+         delivered_at = CASE WHEN $2::text IS NULL THEN NOW() END,
+         next_attempt_at = CASE WHEN $2::text IS NULL THEN next_attempt_at
+                                ELSE NOW() + make_interval(secs => $5 * power(2, attempts - 1)) END,
+         locked_until = NULL, last_error = $2, response_status = $3, duration_ms = $4
+     WHERE id = $1
+     RETURNING *`,
+    [delivery.id, error, responseStatus, Date.now() - started, WEBHOOK_RETRY_BASE_SECONDS, WEBHOOK_MAX_ATTEMPTS]
+  );
+  return result.rows[0];
+}
+
+// Claims due deliveries (optionally one specific delivery) for this instance
+async function claimWebhookDeliveries({ deliveryId = null, limit = WEBHOOK_BATCH_SIZE } = {}) {
+  const result = await pool.query(
+    `WITH claimed AS (
+       UPDATE webhook_deliveries d
+       SET attempts = d.attempts + 1, locked_until = NOW() + make_interval(secs => $2)
+       WHERE d.id IN (
+         SELECT due.id FROM webhook_deliveries due JOIN webhooks w ON w.id = due.webhook_id
+         WHERE due.status = 'pending' AND w.active
+           AND ($3::int IS NULL AND due.next_attempt_at <= NOW() OR due.id = $3)
+           AND (due.locked_until IS NULL OR due.locked_until <= NOW())
+         ORDER BY due.next_attempt_at, due.id
+         LIMIT $1
+         FOR UPDATE OF due SKIP LOCKED
+       )
+       RETURNING d.*
+     )
+     SELECT claimed.*, w.url, w.secret FROM claimed JOIN webhooks w ON w.id = claimed.webhook_id`,
+    [limit, Math.ceil(WEBHOOK_TIMEOUT_MS / 1000) + 30, deliveryId]
+  );
+  return result.rows;
+}
+
+let webhookSweepRunning = false;
+async function runWebhookSweep() {
+  if (webhookSweepRunning) return;
+  webhookSweepRunning = true;
   try {
-    const userId = req.user.id;
-    const date = req.query.date || new Date().toISOString().split('T')[0];
+    let claimed;
+    do {
+      claimed = await claimWebhookDeliveries();
+      await Promise.all(claimed.map(sendWebhookDelivery));
+    } while (claimed.length === WEBHOOK_BATCH_SIZE);
+  } catch (err) {
+    console.error("Webhook sweep error:", err);
+  } finally {
+    webhookSweepRunning = false;
+  }
+}
 
-    const result = await pool.query(
-      "SELECT * FROM daily_goals WHERE user_id = $1 AND date = $2 ORDER BY created_at DESC",
-      [userId, date]
+async function purgeWebhookLog() {
+  try {
+    await pool.query(
+      "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)",
+      [WEBHOOK_LOG_RETENTION_DAYS]
     );
+  } catch (err) {
+    console.error("Webhook log purge error:", err);
+  }
+}
 
+// Queues a delivery for one webhook and sends it right away
+async function deliverWebhookNow(webhookId, event, payload, redeliveryOf = null) {
+  const queued = await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of) VALUES ($1, $2, $3, $4) RETURNING id`,
+    [webhookId, event, JSON.stringify(payload), redeliveryOf]
+  );
+  const [delivery] = await claimWebhookDeliveries({ deliveryId: queued.rows[0].id, limit: 1 });
+  return delivery ? sendWebhookDelivery(delivery) : null;
+}
+
+async function requireWebhook(webhookId, userId) {
+  const result = await pool.query(`SELECT ${WEBHOOK_PUBLIC_COLUMNS} FROM webhooks WHERE id = $1 AND user_id = $2`, [webhookId, userId]);
+  if (!result.rowCount) throw httpError(404, "Webhook not found");
+  return result.rows[0];
+}
+
+app.get("/webhooks", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${WEBHOOK_PUBLIC_COLUMNS.split(", ").map(col => `w.${col}`).join(", ")},
+              (SELECT row_to_json(last) FROM (
+                SELECT d.id, d.event, d.status, d.response_status, d.created_at
+                FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1
+              ) last) AS last_delivery
+       FROM webhooks w WHERE w.user_id = $1 ORDER BY w.id`,
+      [req.user.id]
+    );
     res.json(result.rows);
-  } catch (error) {
-    console.error("Daily goals fetch error:", error);
-    res.status(500).json({ error: "Failed to fetch daily goals" });
+  } catch (err) {
+    console.error("GET /webhooks error:", err);
+    res.status(500).json({ error: "Failed to fetch webhooks" });
   }
 });
 
-app.post("/daily-goals", authRequired, async (req, res) => {
+// POST /webhooks { url, events, description } - the signing secret is only returned here
+app.post("/webhooks", authRequired, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { title, description, category, priority, date } = req.body;
-
-    if (!title || !date) {
-      return res.status(400).json({ error: "Title and date are required" });
-    }
-
+    const { url, events, description } = req.body;
+    const error = validateWebhook({ url, events }) || await checkWebhookTarget(url);
+    if (error) return res.status(400).json({ error });
+    const secret = webhookSecret();
     const result = await pool.query(
-      `INSERT INTO daily_goals (user_id, title, description, category, priority, date)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
-      [userId, title, description || '', category || 'personal', priority || 'medium', date]
+      `INSERT INTO webhooks (user_id, url, secret, events, description) VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${WEBHOOK_PUBLIC_COLUMNS}`,
+      [req.user.id, url, secret, [...new Set(events)], description || null]
     );
-
-    res.status(201).json(result.rows[0]);
-  } catch (error) {
-    console.error("Daily goals create error:", error);
-    res.status(500).json({ error: "Failed to create daily goal" });
+    res.status(201).json({ ...result.rows[0], secret });
+  } catch (err) {
+    console.error("POST /webhooks error:", err);
+    res.status(500).json({ error: "Failed to create webhook" });
   }
 });
 
-app.put("/daily-goals/:id", authRequired, async (req, res) => {
+app.put("/webhooks/:id", authRequired, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const goalId = req.params.id;
-    const { status, title, description, category, priority } = req.body;
-
-    // If changing to completed, set completed_at timestamp
-    const completedAt = status === 'completed' ? 'NOW()' : 'NULL';
-
+    const { url, events, description, active } = req.body;
+    const error = validateWebhook({ url, events }, true) || (url !== undefined ? await checkWebhookTarget(url) : null);
+    if (error) return res.status(400).json({ error });
     const result = await pool.query(
-      `UPDATE daily_goals
-       SET status = COALESCE($3, status),
-           title = COALESCE($4, title),
-           description = COALESCE($5, description),
-           category = COALESCE($6, category),
-           priority = COALESCE($7, priority),
-           completed_at = ${status === 'completed' ? 'NOW()' : status === 'pending' ? 'NULL' : 'completed_at'},
-           updated_at = NOW()
+      `UPDATE webhooks
+       SET url = COALESCE($3, url), events = COALESCE($4, events),
+           description = CASE WHEN $5 THEN $6 ELSE description END,
+           active = COALESCE($7, active), updated_at = NOW()
        WHERE id = $1 AND user_id = $2
-       RETURNING *`,
-      [goalId, userId, status, title, description, category, priority]
+       RETURNING ${WEBHOOK_PUBLIC_COLUMNS}`,
+      [req.params.id, req.user.id, url ?? null, events ? [...new Set(events)] : null,
+        description !== undefined, description || null, typeof active === 'boolean' ? active : null]
     );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Daily goal not found" });
-    }
-
+    if (!result.rowCount) return res.status(404).json({ error: "Webhook not found" });
     res.json(result.rows[0]);
-  } catch (error) {
-    console.error("Daily goals update error:", error);
-    res.status(500).json({ error: "Failed to update daily goal" });
+  } catch (err) {
+    console.error("PUT /webhooks/:id error:", err);
+    res.status(500).json({ error: "Failed to update webhook" });
   }
 });
 
-app.delete("/daily-goals/:id", authRequired, async (req, res) => {
+app.post("/webhooks/:id/rotate-secret", authRequired, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const goalId = req.params.id;
-
+    const secret = webhookSecret();
     const result = await pool.query(
-      "DELETE FROM daily_goals WHERE id = $1 AND user_id = $2 RETURNING *",
-      [goalId, userId]
+      `UPDATE webhooks SET secret = $3, updated_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING ${WEBHOOK_PUBLIC_COLUMNS}`,
+      [req.params.id, req.user.id, secret]
     );
+    if (!result.rowCount) return res.status(404).json({ error: "Webhook not found" });
+    res.json({ ...result.rows[0], secret });
+  } catch (err) {
+    console.error("POST /webhooks/:id/rotate-secret error:", err);
+    res.status(500).json({ error: "Failed to rotate webhook secret" });
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Daily goal not found" });
+app.delete("/webhooks/:id", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM webhooks WHERE id = $1 AND user_id = $2", [req.params.id, req.user.id]);
+    if (!result.rowCount) return res.status(404).json({ error: "Webhook not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /webhooks/:id error:", err);
+    res.status(500).json({ error: "Failed to delete webhook" });
+  }
+});
+
+// POST /webhooks/:id/ping - sends a "ping" event right away and returns the delivery
+app.post("/webhooks/:id/ping", authRequired, async (req, res) => {
+  try {
+    const webhook = await requireWebhook(req.params.id, req.user.id);
+    if (!webhook.active) return res.status(409).json({ error: "Webhook is inactive" });
+    const delivery = await deliverWebhookNow(webhook.id, 'ping', {
+      event: 'ping', created_at: new Date().toISOString(), data: { webhook_id: webhook.id, events: webhook.events }
+    });
+    res.json(delivery);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /webhooks/:id/ping error:", err);
+    res.status(500).json({ error: "Failed to ping webhook" });
+  }
+});
+
+// GET /webhooks/:id/deliveries?status= - the delivery log, newest first
+app.get("/webhooks/:id/deliveries", authRequired, async (req, res) => {
+  try {
+    await requireWebhook(req.params.id, req.user.id);
+    const where = ["webhook_id = $1"];
+    const values = [req.params.id];
+    if (req.query.status) {
+      values.push(req.query.status);
+      where.push(`status = $${values.length}`);
     }
+    const body = await queryList(req, {
+      from: "webhook_deliveries",
+      where,
+      values,
+      columns: await listColumns("webhook_deliveries"),
+      sorts: { created_at: "webhook_deliveries.created_at" },
+      sort: "created_at",
+      order: "desc"
+    });
+    sendList(req, res, body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("GET /webhooks/:id/deliveries error:", err);
+    res.status(500).json({ error: "Failed to fetch webhook deliveries" });
+  }
+});
 
-    res.json({ message: "Daily goal deleted successfully" });
-  } catch (error) {
-    console.error("Daily goals delete error:", error);
-    res.status(500).json({ error: "Failed to delete daily goal" });
+// POST /webhooks/:id/deliveries/:deliveryId/redeliver - sends the same payload
+// again as a new delivery and returns it
+app.post("/webhooks/:id/deliveries/:deliveryId/redeliver", authRequired, async (req, res) => {
+  try {
+    const webhook = await requireWebhook(req.params.id, req.user.id);
+    if (!webhook.active) return res.status(409).json({ error: "Webhook is inactive" });
+    const original = await pool.query(
+      "SELECT id, event, payload FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2",
+      [req.params.deliveryId, webhook.id]
+    );
+    if (!original.rowCount) return res.status(404).json({ error: "Delivery not found" });
+    const { id, event, payload } = original.rows[0];
+    res.json(await deliverWebhookNow(webhook.id, event, payload, id));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("POST /webhooks/:id/deliveries/:deliveryId/redeliver error:", err);
+    res.status(500).json({ error: "Failed to redeliver webhook" });
   }
 });
 
@@ -1372,19 +6577,26 @@ app.get("/study-sessions", authRequired, async (req, res) => {
     const userId = req.user.id;
     const date = req.query.date;
 
-    let query = "SELECT * FROM study_sessions WHERE user_id = $1";
-    let params = [userId];
+    const where = ["user_id = $1"];
+    const params = [userId];
 
     if (date) {
-      query += " AND DATE(start_time) = $2";
+      where.push("DATE(start_time) = $2");
       params.push(date);
     }
 
-    query += " ORDER BY start_time DESC";
-
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    const body = await queryList(req, {
+      from: "study_sessions",
+      where,
+      values: params,
+      columns: await listColumns("study_sessions"),
+      sorts: { start_time: "study_sessions.start_time" },
+      sort: "start_time",
+      order: "desc"
+    });
+    sendList(req, res, body);
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error("Study sessions fetch error:", error);
     res.status(500).json({ error: "Failed to fetch study sessions" });
   }
@@ -1473,6 +6685,333 @@ app.delete("/study-sessions/:id", authRequired, async (req, res) => {
   }
 });
 
+// Habits endpoints
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Habit days are the user's calendar days. Clients send their IANA time zone
+// as `tz` (query or body); without one, "today" is the UTC day.
+function dayInTimeZone(timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+}
+
+function habitTimeZone(req) {
+  const tz = req.query.tz ?? req.body?.tz;
+  if (tz === undefined || tz === null || tz === '') return null;
+  try {
+    dayInTimeZone(String(tz));
+  } catch (_e) {
+    throw httpError(400, "tz must be an IANA time zone such as Asia/Kolkata");
+  }
+  return String(tz);
+}
+
+function habitToday(req) {
+  return dayInTimeZone(habitTimeZone(req) || 'UTC');
+}
+
+// The latest day a check-in may be for. Without a time zone this is today
+// in the furthest-ahead zone (UTC+14), so no user's real today is refused.
+function habitLatestDay(req) {
+  return dayInTimeZone(habitTimeZone(req) || 'Etc/GMT-14');
+}
+
+function dayNumber(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return Math.floor(Date.UTC(y, m - 1, d) / 86400000);
+}
+
+// Day 0 (1970-01-01) was a Thursday, so shifting by 3 makes weeks start on Monday
+function periodNumber(dateStr, period) {
+  const day = dayNumber(dateStr);
+  return period === 'week' ? Math.floor((day + 3) / 7) : day;
+}
+
+// Computes current and longest streaks from the check-in history. A period
+// (day or week) counts when its check-ins reach the habit's target. The
+// current period not being met yet doesn't break the streak.
+function computeHabitStreaks(habit, checkins, today) {
+  const period = habit.target_period;
+  const totals = new Map();
+  checkins.forEach(c => {
+    const n = periodNumber(c.date, period);
+    totals.set(n, (totals.get(n) || 0) + c.count);
+  });
+
+  const met = [...totals.entries()]
+    .filter(([, total]) => total >= habit.target_count)
+    .map(([n]) => n)
+    .sort((a, b) => a - b);
+  const metSet = new Set(met);
+
+  let longest = 0;
+  let run = 0;
+  met.forEach((n, i) => {
+    run = i > 0 && met[i - 1] === n - 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  let current = 0;
+  let cursor = periodNumber(today, period);
+  if (!metSet.has(cursor)) cursor--;
+  while (metSet.has(cursor)) {
+    current++;
+    cursor--;
+  }
+
+  return { current, longest, periodProgress: totals.get(periodNumber(today, period)) || 0 };
+}
+
+// Shapes a habit row the way the Habits page expects it
+function formatHabit(habit, checkins, today) {
+  const progress = {};
+  checkins.forEach(c => {
+    progress[c.date] = c.count;
+  });
+  const streaks = computeHabitStreaks(habit, checkins, today);
+
+  return {
+    id: habit.id,
+    title: habit.title,
+    color: habit.color,
+    targetCount: habit.target_count,
+    targetPeriod: habit.target_period,
+    streak: streaks.current,
+    longestStreak: streaks.longest,
+    periodProgress: streaks.periodProgress,
+    completedToday: (progress[today] || 0) >= habit.target_count,
+    progress,
+    createdAt: habit.created_at,
+    updatedAt: habit.updated_at
+  };
+}
+
+async function loadHabit(habitId, userId, today) {
+  const habitResult = await pool.query("SELECT * FROM habits WHERE id = $1 AND user_id = $2", [habitId, userId]);
+  if (!habitResult.rows.length) return null;
+  const checkins = await pool.query(
+    "SELECT to_char(date, 'YYYY-MM-DD') AS date, count FROM habit_checkins WHERE habit_id = $1 ORDER BY date ASC",
+    [habitId]
+  );
+  return formatHabit(habitResult.rows[0], checkins.rows, today);
+}
+
+function parseHabitTarget(targetCount, targetPeriod) {
+  if (targetCount !== undefined && (!Number.isInteger(Number(targetCount)) || Number(targetCount) < 1)) {
+    return { error: "targetCount must be a positive integer" };
+  }
+  if (targetPeriod !== undefined && !['day', 'week'].includes(targetPeriod)) {
+    return { error: "targetPeriod must be 'day' or 'week'" };
+  }
+  return {
+    targetCount: targetCount !== undefined ? Number(targetCount) : undefined,
+    targetPeriod
+  };
+}
+
+app.get("/habits", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const today = habitToday(req);
+
+    const habits = await pool.query("SELECT * FROM habits WHERE user_id = $1 ORDER BY created_at ASC", [userId]);
+    const checkins = await pool.query(
+      "SELECT habit_id, to_char(date, 'YYYY-MM-DD') AS date, count FROM habit_checkins WHERE user_id = $1 ORDER BY date ASC",
+      [userId]
+    );
+
+    const byHabit = new Map();
+    checkins.rows.forEach(c => {
+      if (!byHabit.has(c.habit_id)) byHabit.set(c.habit_id, []);
+      byHabit.get(c.habit_id).push(c);
+    });
+
+    res.json(habits.rows.map(h => formatHabit(h, byHabit.get(h.id) || [], today)));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Habits fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch habits" });
+  }
+});
+
+app.get("/habits/:id", authRequired, async (req, res) => {
+  try {
+    const today = habitToday(req);
+    const habit = await loadHabit(req.params.id, req.user.id, today);
+    if (!habit) return res.status(404).json({ error: "Habit not found" });
+    res.json(habit);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Habit fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch habit" });
+  }
+});
+
+// streak and progress sent by the client are ignored; both come from check-ins
+app.post("/habits", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { title, color } = req.body;
+    if (!title || !String(title).trim()) {
+      return res.status(400).json({ error: "Title is required" });
+    }
+
+    const target = parseHabitTarget(req.body.targetCount, req.body.targetPeriod);
+    if (target.error) return res.status(400).json({ error: target.error });
+
+    const result = await pool.query(
+      `INSERT INTO habits (user_id, title, color, target_count, target_period)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, String(title).trim(), color || '#3b82f6', target.targetCount || 1, target.targetPeriod || 'day']
+    );
+
+    const today = habitToday(req);
+    res.status(201).json(formatHabit(result.rows[0], [], today));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Habit create error:", error);
+    res.status(500).json({ error: "Failed to create habit" });
+  }
+});
+
+app.put("/habits/:id", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { title, color } = req.body;
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ error: "Title cannot be empty" });
+    }
+
+    const target = parseHabitTarget(req.body.targetCount, req.body.targetPeriod);
+    if (target.error) return res.status(400).json({ error: target.error });
+
+    const result = await pool.query(
+      `UPDATE habits
+       SET title = COALESCE($3, title),
+           color = COALESCE($4, color),
+           target_count = COALESCE($5, target_count),
+           target_period = COALESCE($6, target_period),
+           updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [req.params.id, userId, title !== undefined ? String(title).trim() : null, color, target.targetCount, target.targetPeriod]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: "Habit not found" });
+
+    const today = habitToday(req);
+    res.json(await loadHabit(req.params.id, userId, today));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Habit update error:", error);
+    res.status(500).json({ error: "Failed to update habit" });
+  }
+});
+
+app.delete("/habits/:id", authRequired, async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM habits WHERE id = $1 AND user_id = $2", [req.params.id, req.user.id]);
+    if (!result.rowCount) return res.status(404).json({ error: "Habit not found" });
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Habit delete error:", error);
+    res.status(500).json({ error: "Failed to delete habit" });
+  }
+});
+
+// Check in once (or `count` times) for a day, defaulting to today
+app.post("/habits/:id/checkins", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const today = habitToday(req);
+    const date = req.body.date || today;
+    const count = req.body.count !== undefined ? Number(req.body.count) : 1;
+
+    if (!DATE_RE.test(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    if (!Number.isInteger(count) || count < 1) return res.status(400).json({ error: "count must be a positive integer" });
+    if (date > habitLatestDay(req)) return res.status(400).json({ error: "Cannot check in for a future date" });
+
+    const habit = await pool.query("SELECT id FROM habits WHERE id = $1 AND user_id = $2", [req.params.id, userId]);
+    if (!habit.rows.length) return res.status(404).json({ error: "Habit not found" });
+
+    await pool.query(
+      `INSERT INTO habit_checkins (habit_id, user_id, date, count)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (habit_id, date)
+       DO UPDATE SET count = habit_checkins.count + EXCLUDED.count, updated_at = NOW()`,
+      [req.params.id, userId, date, count]
+    );
+
+    res.status(201).json(await loadHabit(req.params.id, userId, today));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Habit check-in error:", error);
+    res.status(500).json({ error: "Failed to check in habit" });
+  }
+});
+
+// Undo one check-in for a day; the row goes away once its count reaches zero
+app.delete("/habits/:id/checkins/:date", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id, date } = req.params;
+    if (!DATE_RE.test(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+
+    const result = await pool.query(
+      "UPDATE habit_checkins SET count = count - 1, updated_at = NOW() WHERE habit_id = $1 AND user_id = $2 AND date = $3 AND count > 1",
+      [id, userId, date]
+    );
+    if (!result.rowCount) {
+      const removed = await pool.query(
+        "DELETE FROM habit_checkins WHERE habit_id = $1 AND user_id = $2 AND date = $3",
+        [id, userId, date]
+      );
+      if (!removed.rowCount) return res.status(404).json({ error: "Check-in not found" });
+    }
+
+    const today = habitToday(req);
+    res.json(await loadHabit(id, userId, today));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Habit undo check-in error:", error);
+    res.status(500).json({ error: "Failed to undo check-in" });
+  }
+});
+
+// Set the absolute progress for a day (used by the Habits page checkbox)
+app.put("/habits/:id/progress", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const today = habitToday(req);
+    const date = req.body.date || today;
+    const progress = Number(req.body.progress);
+
+    if (!DATE_RE.test(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    if (!Number.isInteger(progress) || progress < 0) return res.status(400).json({ error: "progress must be a non-negative integer" });
+    if (date > habitLatestDay(req)) return res.status(400).json({ error: "Cannot record progress for a future date" });
+
+    const habit = await pool.query("SELECT id FROM habits WHERE id = $1 AND user_id = $2", [req.params.id, userId]);
+    if (!habit.rows.length) return res.status(404).json({ error: "Habit not found" });
+
+    if (progress === 0) {
+      await pool.query("DELETE FROM habit_checkins WHERE habit_id = $1 AND date = $2", [req.params.id, date]);
+    } else {
+      await pool.query(
+        `INSERT INTO habit_checkins (habit_id, user_id, date, count)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (habit_id, date)
+         DO UPDATE SET count = EXCLUDED.count, updated_at = NOW()`,
+        [req.params.id, userId, date, progress]
+      );
+    }
+
+    res.json(await loadHabit(req.params.id, userId, today));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Habit progress error:", error);
+    res.status(500).json({ error: "Failed to update habit progress" });
+  }
+});
+
 // Demo user creation endpoint (for development/testing)
 app.post("/admin/create-demo-user", async (req, res) => {
   try {
@@ -1509,13 +7048,43 @@ app.use('/api/*', (req, res) => {
 });
 
 // Start server
+// Refuses to start until every migration has been applied (npm run migrate -- up)
 const PORT = Number(process.env.PORT || 3001);
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🎉 TASKFLOW PRO RUNNING ON http://localhost:${PORT}`);
-  console.log(`📱 Mobile Access: http://192.168.1.2:${PORT}`);
-  console.log(`🏠 Frontend: http://localhost:${PORT}/`);
-  console.log(`🔧 API: http://localhost:${PORT}/api/...`);
-  console.log(`🏥 Health: http://localhost:${PORT}/test-db`);
-  console.log(`✅ Database: Connected to PostgreSQL`);
-  console.log(`🌐 Ready for professional productivity management!`);
-});
\ No newline at end of file
+
+async function startServer() {
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    if (error.code) {
+      logDbError(error);
+    } else {
+      console.error(`❌ ${error.message}`);
+      console.error('💡 Solution: Run "npm run migrate -- up" and restart the server');
+    }
+    process.exit(1);
+  }
+
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`🎉 TASKFLOW PRO RUNNING ON http://localhost:${PORT}`);
+    console.log(`📱 Mobile Access: http://192.168.1.2:${PORT}`);
+    console.log(`🏠 Frontend: http://localhost:${PORT}/`);
+    console.log(`🔧 API: http://localhost:${PORT}/api/...`);
+    console.log(`🏥 Health: http://localhost:${PORT}/test-db`);
+    console.log(`✅ Database: Connected to PostgreSQL`);
+    console.log(`🌐 Ready for professional productivity management!`);
+  });
+
+  // Expired trash is purged at startup and then hourly
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
+  // Reminders that came due while the server was down go out on the first sweep
+  runReminderSweep();
+  setInterval(runReminderSweep, REMINDER_POLL_SECONDS * 1000).unref();
+
+  runWebhookSweep();
+  setInterval(runWebhookSweep, WEBHOOK_POLL_SECONDS * 1000).unref();
+  setInterval(purgeWebhookLog, 60 * 60 * 1000).unref();
+}
+
+startServer();